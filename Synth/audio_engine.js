@@ -8,13 +8,17 @@ class AudioEngine {
     constructor() {
         this.ctx = null;
         this.masterGain = null;
-        this.compressor = null;
+        this.masterBus = new window.MasterBus(); // EQ / Compressor / Limiter (shared with renderAudio)
+        this.sendFx = new window.SendFx(); // Delay + Reverb buses (settings survive before init)
         this.clockWorker = null;
         this.bassSynths = [];
         this.nextNoteTime = 0.0;
         this.lookahead = 0.1;
         this.scheduleAheadTime = 0.1;
         this.interval = 25.0; 
+        this.liveRun = null; // Playback context (pass counters, RNG) of the live scheduler
+        this.cursor = null;  // Live position in the block sequence (pattern or song)
+        this.externalBpm = null; // Tempo of an incoming MIDI clock while slaved (overrides the tempo map)
     }
 
     init() {
@@ -26,15 +30,11 @@ class AudioEngine {
             this.masterGain = this.ctx.createGain();
             this.masterGain.gain.value = 0.6;
 
-            this.compressor = this.ctx.createDynamicsCompressor();
-            this.compressor.threshold.value = -3;
-            this.compressor.knee.value = 30;
-            this.compressor.ratio.value = 12;
-            this.compressor.attack.value = 0.003;
-            this.compressor.release.value = 0.25;
+            this.masterBus.init(this.ctx, this.ctx.destination);
+            this.masterGain.connect(this.masterBus.input);
 
-            this.masterGain.connect(this.compressor);
-            this.compressor.connect(this.ctx.destination);
+            this.sendFx.init(this.ctx, this.masterGain);
+            this.sendFx.setTempo(window.AppState.bpm);
 
             this.initSynths();
             this.initWorker();
@@ -48,9 +48,12 @@ class AudioEngine {
 
     initSynths() {
         if (this.bassSynths.length === 0) this.addBassSynth('bass-1');
-        else this.bassSynths.forEach(s => s.init(this.ctx, this.masterGain));
+        else this.bassSynths.forEach(s => s.init(this.ctx, this.masterGain, this.sendFx));
         
-        if (window.drumSynth) window.drumSynth.init(this.ctx, this.masterGain);
+        if (window.drumSynth) {
+            window.drumSynth.init(this.ctx, this.masterGain, this.sendFx);
+            window.drumSynth.sidechainTargets = this.bassSynths; // Bass strips duck under drum triggers
+        }
     }
 
     initWorker() {
@@ -73,8 +76,9 @@ class AudioEngine {
     addBassSynth(id) {
         if (this.bassSynths.find(s => s.id === id)) return;
         const s = new window.BassSynth(id);
-        if (this.ctx) s.init(this.ctx, this.masterGain);
+        if (this.ctx) s.init(this.ctx, this.masterGain, this.sendFx);
         this.bassSynths.push(s);
+        this.applyMix();
         if (window.timeMatrix && window.timeMatrix.registerTrack) window.timeMatrix.registerTrack(id);
         return s;
     }
@@ -84,6 +88,7 @@ class AudioEngine {
         if (idx > -1) {
             this.bassSynths.splice(idx, 1);
             if (window.timeMatrix) window.timeMatrix.removeTrack(id);
+            this.applyMix();
             return true;
         }
         return false;
@@ -93,6 +98,17 @@ class AudioEngine {
         return this.bassSynths.find(s => s.id === id);
     }
 
+    // --- MIXER ---
+    // Mute/Solo across bass synths and drum channels: any solo silences every non-soloed channel.
+    // Defaults to the live instances; renderAudio passes its offline clones.
+    applyMix(synths = this.bassSynths, drum = window.drumSynth, instant = false) {
+        const channels = drum ? drum.channels : [];
+        const soloActive = synths.some(s => s.solo) || channels.some(ch => ch.solo);
+        const audible = (strip) => !strip.mute && (!soloActive || strip.solo);
+        synths.forEach(s => s.setAudible(audible(s), instant));
+        if (drum) channels.forEach(ch => drum.setChannelAudible(ch.id, audible(ch), instant));
+    }
+
     syncWithMatrix(matrix) {
         if (!matrix) return;
         const activeIds = new Set();
@@ -111,21 +127,46 @@ class AudioEngine {
     }
 
     // --- TRANSPORT ---
-    startPlayback() {
+    // position: song position in steps to start from (MIDI Continue); null = editor position.
+    // Slaved to an external MIDI clock the worker stays off: incoming clocks call clockStep()
+    startPlayback(position = null) {
         this.resume();
         if (!this.ctx) this.init();
+        const clock = window.midiClock;
+        const external = !!(clock && clock.isExternal());
         window.AppState.isPlaying = true;
         window.AppState.currentPlayStep = 0;
-        window.AppState.currentPlayBlock = window.AppState.editingBlock;
+        if (position !== null) {
+            const loc = this.locateSongPosition(position);
+            this.cursor = loc.cursor;
+            window.AppState.currentPlayStep = loc.step;
+        } else {
+            // Song mode starts at the selected arrangement entry, other modes at the edited block
+            // (range loops jump to the range start when the edited block lies outside it)
+            this.cursor = this.createCursor(window.AppState.editingBlock, window.AppState.selectedSongEntry);
+        }
+        window.AppState.currentPlayBlock = this.cursor.block;
+        window.AppState.currentSongEntry = this.cursor.entry;
         this.nextNoteTime = this.ctx.currentTime + 0.1;
+        // Live playback varies on every run; renders use the fixed seed
+        this.liveRun = this.createRun(window.drumSynth, this.bassSynths, Date.now(), () => window.AppState.fillActive, this.sendFx);
         window.visualQueue = [];
-        if (this.clockWorker) this.clockWorker.postMessage("start");
-        if(window.logToScreen) window.logToScreen("PLAY");
+        if (external) {
+            this.externalBpm = clock.bpm;
+        } else {
+            if (clock) clock.transportStart(this.ctx, this.nextNoteTime, this.getSongPosition(this.cursor) + window.AppState.currentPlayStep);
+            if (this.clockWorker) this.clockWorker.postMessage("start");
+        }
+        if(window.logToScreen) window.logToScreen(external ? "PLAY (EXT CLOCK)" : "PLAY");
     }
 
     stopPlayback() {
         window.AppState.isPlaying = false;
         if (this.clockWorker) this.clockWorker.postMessage("stop");
+        if (window.midiClock) window.midiClock.transportStop();
+        this.externalBpm = null;
+        if (window.drumSynth) window.drumSynth.resetAutomation();
+        this.bassSynths.forEach(s => { if (s.ducker) s.ducker.reset(this.ctx.currentTime); });
         if(window.logToScreen) window.logToScreen("STOP");
     }
 
@@ -144,40 +185,334 @@ class AudioEngine {
     }
 
     scheduleNote(step, block, time) {
-        window.visualQueue.push({ step, block, time });
-        const data = window.timeMatrix.getStepData(step, block);
-        if (!data) return;
+        // Visuals stay on the straight grid; swing only shifts the audio
+        window.visualQueue.push({ step, block, time, entry: window.AppState.currentSongEntry });
+        const secPerStep = this.getSecPerStep();
+        this.playStep(block, step, time, secPerStep, this.liveRun);
+        if (window.midiClock) window.midiClock.scheduleStep(this.ctx, time, secPerStep);
+    }
+
+    // External MIDI clock: one 16th worth of pulses plays the current step at 'time'
+    clockStep(time) {
+        if (!window.AppState.isPlaying) return;
+        this.nextNoteTime = time;
+        this.scheduleNote(window.AppState.currentPlayStep, window.AppState.currentPlayBlock, time);
+        this.advanceNote();
+    }
+
+    /**
+     * Playback context shared by every step of one run (live or offline).
+     * @param {DrumSynth} drum - Drum instance to trigger
+     * @param {BassSynth[]} synths - Bass instances to trigger
+     * @param {number} seed - Seed for probability conditions
+     * @param {function} fill - Returns whether FILL is active
+     * @param {SendFx} sends - Send buses whose delay follows the block tempo
+     */
+    createRun(drum, synths, seed, fill, sends = null) {
+        // drumAuto: last automation value sent per drum lane (changes only are scheduled)
+        // steps: steps played so far (free-running LFO phase)
+        return { drum, synths, sends, rng: window.TrigConditions.createRng(seed), fill, passes: {}, drumAuto: {}, steps: 0 };
+    }
+
+    /**
+     * Triggers every event of one step. Shared by the live scheduler
+     * and the offline render so both paths sound identical.
+     */
+    playStep(blockIdx, step, time, secPerStep, run) {
+        const blk = window.timeMatrix.blocks[blockIdx];
+        if (!blk || !run) return;
+        const runStep = run.steps++;
+
+        // Count block passes for 'A:B' / 'first' conditions
+        if (step === 0) run.passes[blockIdx] = (run.passes[blockIdx] === undefined) ? 0 : run.passes[blockIdx] + 1;
+        const pass = run.passes[blockIdx] || 0;
+        const fill = run.fill();
+        const allowed = (cond) => window.TrigConditions.evaluate(cond, pass, run.rng, fill);
+
+        // Delay time re-syncs to each block's tempo
+        if (step === 0 && run.sends) run.sends.setTempo(this.getBlockBpm(blockIdx), time);
+
+        // Drum Volume Automation
+        if (run.drum) this.applyDrumAutomation(blockIdx, step, time, run);
 
         // Play Drums
-        if (data.drums && window.drumSynth) {
-            data.drums.forEach(id => window.drumSynth.play(id, time));
+        const hits = blk.drums[step];
+        if (hits && run.drum) {
+            const drumTime = time + this.getSwingOffset(step, 'drum', secPerStep);
+            // Note: blk.drums contains hits { id: Channel ID (index), vel, cond }
+            hits.forEach(h => { if (allowed(h.cond)) run.drum.play(h.id, drumTime, h.vel); });
         }
 
         // Play Bass
-        if (data.tracks) {
-            Object.keys(data.tracks).forEach(tid => {
-                const noteInfo = data.tracks[tid][step];
-                if (noteInfo) {
-                    const synth = this.bassSynths.find(s => s.id === tid);
-                    if (synth) synth.play(noteInfo.note, noteInfo.octave, time, 0.25, noteInfo.slide, noteInfo.accent);
-                }
+        if (blk.tracks) {
+            const bassTime = time + this.getSwingOffset(step, 'bass', secPerStep);
+            Object.keys(blk.tracks).forEach(tid => {
+                const n = blk.tracks[tid][step];
+                if (!n || !allowed(n.cond)) return;
+                const synth = run.synths.find(s => s.id === tid);
+                if (!synth) return;
+                const duration = this.getGateDuration(blk.tracks[tid], step, n, secPerStep);
+                // Step locks win over recorded automation
+                const auto = this.getBassAutomation(blockIdx, tid, step);
+                const locks = auto ? { ...auto, ...(n.locks || {}) } : (n.locks || null);
+                // LFO position of the note start, swing included (fractional steps)
+                const swing = (bassTime - time) / secPerStep;
+                const lfo = { block: step + swing, run: runStep + swing, secPerStep };
+                synth.play(n.note, n.octave, bassTime, duration, n.slide, n.accent, n.gate || 'normal', locks, lfo);
             });
         }
     }
 
+    // --- AUTOMATION PLAYBACK ---
+    // Recorded bass values in effect at a step, as a locks object (null = none)
+    getBassAutomation(blockIdx, synthId, step) {
+        const tm = window.timeMatrix;
+        const blk = tm.blocks[blockIdx];
+        if (!blk || !blk.automation) return null;
+        let out = null;
+        window.BassSynth.LOCKABLE.forEach(param => {
+            const v = tm.getAutomationValue(blockIdx, `${synthId}:${param}`, step);
+            if (v !== null) (out = out || {})[param] = v;
+        });
+        return out;
+    }
+
+    // Drum volume lanes: schedules a gain change whenever the value in effect changes.
+    // Lanes missing from the current block fall back to the stored volume.
+    applyDrumAutomation(blockIdx, step, time, run) {
+        const tm = window.timeMatrix;
+        const blk = tm.blocks[blockIdx];
+        const keys = new Set(Object.keys(run.drumAuto));
+        Object.keys((blk && blk.automation) || {}).forEach(k => { if (k.startsWith('drums:')) keys.add(k); });
+        keys.forEach(key => {
+            const target = key.slice(6) === 'master' ? 'master' : parseInt(key.slice(6));
+            let val = tm.getAutomationValue(blockIdx, key, step);
+            if (val === null) val = target === 'master' ? run.drum.masterVolume : (run.drum.channels[target] || {}).volume;
+            if (val === undefined || run.drumAuto[key] === val) return;
+            run.drumAuto[key] = val;
+            run.drum.automateVolume(target, val, time);
+        });
+    }
+
+    // Gate time in seconds for a note, scaled by tempo.
+    // Ties hold through the following empty steps (up to the next note / block end);
+    // slides are always held at least one step so they glide legato.
+    getGateDuration(track, step, n, secPerStep) {
+        const gates = window.BassSynth.GATES;
+        const gate = gates[n.gate] !== undefined ? n.gate : 'normal';
+        if (gate === 'tie') {
+            let held = 1;
+            while (step + held < track.length && !track[step + held]) held++;
+            return held * secPerStep;
+        }
+        const len = n.slide ? Math.max(1, gates[gate]) : gates[gate];
+        return len * secPerStep;
+    }
+
+    // Off-beat 16ths (odd steps) are pushed back by up to half a step.
+    // Per-track amounts override the global swing when set (null = follow global).
+    getSwingOffset(step, track, secPerStep) {
+        if (step % 2 === 0) return 0;
+        const st = window.AppState;
+        const own = track === 'drum' ? st.swingDrums : st.swingBass;
+        const amount = (own === null || own === undefined) ? st.swing : own;
+        return (Math.max(0, Math.min(100, amount)) / 100) * 0.5 * secPerStep;
+    }
+
+    // --- TEMPO MAP ---
+    // Blocks without their own tempo follow the song tempo (AppState.bpm).
+    // A running external MIDI clock overrides the whole map
+    getBlockBpm(blockIdx) {
+        if (this.externalBpm) return this.externalBpm;
+        const b = window.timeMatrix.blocks[blockIdx];
+        const bpm = (b && b.bpm) ? b.bpm : Number(window.AppState.bpm);
+        return bpm > 0 ? bpm : 120;
+    }
+
+    // Tempo at a step. Ramped blocks glide linearly towards the tempo of the
+    // block that follows them in the sequence (nextBlock null = no ramp).
+    getStepBpm(blockIdx, step, nextBlock) {
+        const start = this.getBlockBpm(blockIdx);
+        const b = window.timeMatrix.blocks[blockIdx];
+        if (!b || !b.ramp || nextBlock === null || nextBlock === undefined) return start;
+        const end = this.getBlockBpm(nextBlock);
+        return start + (end - start) * (step / window.timeMatrix.getBlockLength(blockIdx));
+    }
+
+    // Step length in seconds. Defaults to the live play position.
+    getSecPerStep(blockIdx = window.AppState.currentPlayBlock, step = window.AppState.currentPlayStep, nextBlock = this.peekNextBlock()) {
+        const secPerBeat = 60.0 / this.getStepBpm(blockIdx, step, nextBlock);
+        return secPerBeat / 4;
+    }
+
+    // Block the live cursor moves to next (without moving it)
+    peekNextBlock() {
+        if (!this.cursor) return null;
+        const c = { ...this.cursor };
+        this.advanceCursor(c);
+        return c.block;
+    }
+
+    // Total length in seconds of an ordered list of blocks
+    getSequenceDuration(order) {
+        let total = 0;
+        order.forEach((b, i) => {
+            const next = i + 1 < order.length ? order[i + 1] : null;
+            const len = window.timeMatrix.getBlockLength(b);
+            for (let s = 0; s < len; s++) total += this.getSecPerStep(b, s, next);
+        });
+        return total;
+    }
+
     advanceNote() {
-        const secPerBeat = 60.0 / window.AppState.bpm;
-        const secPerStep = secPerBeat / 4; 
+        const secPerStep = this.getSecPerStep();
         this.nextNoteTime += secPerStep;
         window.AppState.currentPlayStep++;
         
-        if (window.AppState.currentPlayStep >= window.timeMatrix.totalSteps) {
+        if (window.AppState.currentPlayStep >= window.timeMatrix.getBlockLength(window.AppState.currentPlayBlock)) {
             window.AppState.currentPlayStep = 0;
-            window.AppState.currentPlayBlock++;
-            if (window.AppState.currentPlayBlock >= window.timeMatrix.blocks.length) {
-                window.AppState.currentPlayBlock = 0;
+            if (!this.cursor) this.cursor = this.createCursor(window.AppState.currentPlayBlock);
+            this.advanceCursor(this.cursor);
+            window.AppState.currentPlayBlock = this.cursor.block;
+            window.AppState.currentSongEntry = this.cursor.entry;
+        }
+    }
+
+    // --- SEQUENCE (Pattern / Song / Loop) ---
+    // Modes: 'pool' walks the blocks in order, 'arrangement' walks the song entries,
+    // 'block' repeats one block, 'range' cycles the loop range (AppState.loopStart..loopEnd).
+    // Cursor: { mode, entry, repeat, block, jumped } (entry/repeat/jumped only used by 'arrangement';
+    // jumped lists the entries whose jump was taken this pass).
+    getSequenceMode() {
+        const loop = window.AppState.loopMode;
+        if (loop === 'block' || loop === 'range') return loop;
+        return window.timeMatrix.isSongActive() ? 'arrangement' : 'pool';
+    }
+
+    // Loop range as ordered [first, last] block indices, clamped to the pool
+    getLoopRange() {
+        const st = window.AppState;
+        const last = window.timeMatrix.blocks.length - 1;
+        const clamp = (v) => Math.max(0, Math.min(last, parseInt(v) || 0));
+        const a = clamp(st.loopStart), b = clamp(st.loopEnd);
+        return [Math.min(a, b), Math.max(a, b)];
+    }
+
+    createCursor(startBlock = 0, startEntry = 0, mode = this.getSequenceMode()) {
+        const tm = window.timeMatrix;
+        if (mode === 'arrangement') {
+            const entry = Math.max(0, Math.min(startEntry || 0, tm.getSongEnd()));
+            return { mode, entry, repeat: 0, block: tm.song.entries[entry].block, jumped: [] };
+        }
+        let block = (startBlock >= 0 && startBlock < tm.blocks.length) ? startBlock : 0;
+        if (mode === 'range') {
+            const [first, last] = this.getLoopRange();
+            if (block < first || block > last) block = first;
+        }
+        return { mode, entry: 0, repeat: 0, block, jumped: [] };
+    }
+
+    // Moves the cursor to the next block. Returns true when the sequence wrapped
+    // (pool: back to block 0, arrangement: past the end point back to the loop marker,
+    // block / range: every time the loop restarts).
+    advanceCursor(cur, mode = this.getSequenceMode()) {
+        const tm = window.timeMatrix;
+
+        // Mode changed while running (loop mode, song toggled or emptied): restart in the new mode
+        if (cur.mode !== mode) {
+            const from = mode === 'block' ? window.AppState.editingBlock : (cur.block + 1) % tm.blocks.length;
+            Object.assign(cur, this.createCursor(from, 0, mode));
+            return false;
+        }
+
+        if (mode === 'arrangement') {
+            const song = tm.song;
+            const e = song.entries[cur.entry];
+            if (e && ++cur.repeat < e.repeats) return false;
+            cur.repeat = 0;
+            const jump = e ? e.jump : null;
+            if (jump !== null && jump !== undefined && !cur.jumped.includes(cur.entry)) {
+                // New array: peeked copies of the live cursor must not share it
+                cur.jumped = [...cur.jumped, cur.entry];
+                cur.entry = jump;
+            } else {
+                cur.entry++;
+            }
+            let wrapped = false;
+            if (cur.entry > tm.getSongEnd()) {
+                const loop = song.loopMarker;
+                cur.entry = (loop !== null && loop <= tm.getSongEnd()) ? loop : 0;
+                cur.jumped = [];
+                wrapped = true;
             }
+            cur.block = song.entries[cur.entry].block;
+            return wrapped;
+        }
+
+        if (mode === 'block') {
+            // Follows the editor so another block can be auditioned without stopping
+            const edit = window.AppState.editingBlock;
+            cur.block = (edit >= 0 && edit < tm.blocks.length) ? edit : 0;
+            return true;
+        }
+
+        if (mode === 'range') {
+            const [first, last] = this.getLoopRange();
+            cur.block++;
+            if (cur.block < first || cur.block > last) { cur.block = first; return true; }
+            return false;
+        }
+
+        cur.block++;
+        if (cur.block >= tm.blocks.length) { cur.block = 0; return true; }
+        return false;
+    }
+
+    // --- SONG POSITION (MIDI Song Position Pointer, in steps) ---
+    // First block of a sequence mode (where the song position counts from)
+    createSequenceStart(mode = this.getSequenceMode()) {
+        const start = mode === 'block' ? window.AppState.editingBlock : (mode === 'range' ? this.getLoopRange()[0] : 0);
+        return this.createCursor(start, 0, mode);
+    }
+
+    // Steps from the sequence start to the start of the cursor's block (0 when not reached in one pass)
+    getSongPosition(cur) {
+        const walk = this.createSequenceStart(cur.mode);
+        let pos = 0;
+        while (walk.block !== cur.block || walk.entry !== cur.entry || walk.repeat !== cur.repeat || walk.jumped.length !== cur.jumped.length) {
+            pos += window.timeMatrix.getBlockLength(walk.block);
+            if (this.advanceCursor(walk, cur.mode)) return 0;
+        }
+        return pos;
+    }
+
+    // Cursor and step for a song position; positions past the end wrap like playback does
+    locateSongPosition(pos) {
+        const mode = this.getSequenceMode();
+        const cursor = this.createSequenceStart(mode);
+        let step = Math.max(0, pos);
+        while (step >= window.timeMatrix.getBlockLength(cursor.block)) {
+            step -= window.timeMatrix.getBlockLength(cursor.block);
+            this.advanceCursor(cursor, mode);
         }
+        return { cursor, step };
+    }
+
+    // Block indices of an offline render: 'reps' passes through the sequence.
+    // Song passes after the first restart at the loop marker, like live playback.
+    // loopOnly renders the transport loop (block / range) instead of the whole song.
+    getRenderOrder(reps, loopOnly = false) {
+        let mode = this.getSequenceMode();
+        if (!loopOnly && (mode === 'block' || mode === 'range')) mode = window.timeMatrix.isSongActive() ? 'arrangement' : 'pool';
+        const start = mode === 'block' ? window.AppState.editingBlock : (mode === 'range' ? this.getLoopRange()[0] : 0);
+        const cur = this.createCursor(start, 0, mode);
+        const order = [];
+        let passes = 0;
+        while (passes < reps) {
+            order.push(cur.block);
+            if (this.advanceCursor(cur, mode)) passes++;
+        }
+        return order;
     }
 
     previewNote(synthId, note, octave) {
@@ -186,9 +521,9 @@ class AudioEngine {
         if (s) s.play(note, octave, this.ctx.currentTime);
     }
 
-    previewDrum(drumId) {
+    previewDrum(drumId, velocity) {
         this.resume();
-        if (window.drumSynth) window.drumSynth.play(drumId, this.ctx.currentTime);
+        if (window.drumSynth) window.drumSynth.play(drumId, this.ctx.currentTime, velocity);
     }
 
     // --- OFFLINE RENDER (UPDATED) ---
@@ -197,126 +532,269 @@ class AudioEngine {
         if(window.logToScreen) window.logToScreen("Initializing Offline Render...");
         
         try {
-            const stepsPerBlock = window.timeMatrix.totalSteps;
-            const totalBlocks = window.timeMatrix.blocks.length;
-            const reps = window.AppState.exportReps;
-            const bpm = window.AppState.bpm;
+            const format = this.getExportFormat();
+            const range = this.getExportRange(format);
+            const renderedBuffer = await this.renderOffline(range.order, range.duration, null, false, format.rate);
+            const fit = this.getExportFit([this.analyseBuffer(renderedBuffer)], format, range);
             
-            const secPerStep = (60.0 / bpm) / 4;
-            const totalSteps = stepsPerBlock * totalBlocks * reps;
-            const duration = totalSteps * secPerStep + 2.0; // +2s tail
-
-            const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
-            // 2 channels, length in samples, sample rate
-            const offCtx = new OfflineCtx(2, 44100 * duration, 44100);
+            if(window.logToScreen) window.logToScreen(`Encoding WAV (${AudioEngine.describeFormat(format)})...`);
+            const wavBlob = this.bufferToWave(renderedBuffer, fit.length, { ...format, gain: fit.gain });
+            this.downloadBlob(wavBlob, `ND23_Render_${Date.now()}.wav`);
             
-            // Master Compressor for Offline
-            const offCompressor = offCtx.createDynamicsCompressor();
-            offCompressor.threshold.value = -3;
-            offCompressor.ratio.value = 12;
-            
-            const offMaster = offCtx.createGain();
-            offMaster.gain.value = 0.6;
-            
-            offMaster.connect(offCompressor);
-            offCompressor.connect(offCtx.destination);
-
-            // 1. CLONE BASS SYNTHS
-            const offBassSynths = [];
-            this.bassSynths.forEach(liveSynth => {
-                const s = new window.BassSynth(liveSynth.id);
-                s.init(offCtx, offMaster); // Connect to offline master
-                s.params = { ...liveSynth.params };
-                
-                // Ensure FX params are applied to the new offline nodes
-                if(s.fxChain) {
-                    s.setDistortion(s.params.distortion);
-                    s.setDistTone(s.params.distTone);
-                    s.setDistGain(s.params.distGain);
-                }
-                offBassSynths.push(s);
-            });
+            if(window.logToScreen) window.logToScreen("Download Started [OK]");
+            return true;
 
-            // 2. CLONE DRUM SYNTH
-            // Must create a new instance attached to offCtx
-            const offDrum = new window.DrumSynth();
-            offDrum.init(offCtx, offMaster);
-            
-            if (window.drumSynth) {
-                offDrum.setMasterVolume(window.drumSynth.masterVolume);
-                
-                // Deep copy channel states (Volume & Variant)
-                window.drumSynth.channels.forEach(ch => {
-                    offDrum.setChannelVolume(ch.id, ch.volume);
-                    offDrum.setChannelVariant(ch.id, ch.variant);
-                });
-            }
+        } catch (e) {
+            console.error(e);
+            if(window.logToScreen) window.logToScreen("Render Error: " + e.message, 'error');
+            return false;
+        }
+    }
 
-            // 3. SCHEDULE EVENTS (Offline Timeline)
-            if(window.logToScreen) window.logToScreen("Scheduling Events...");
-            
-            let t = 0.0;
-            for (let r = 0; r < reps; r++) {
-                for (let b = 0; b < totalBlocks; b++) {
-                    const blk = window.timeMatrix.blocks[b];
-                    for (let s = 0; s < stepsPerBlock; s++) {
-                        // Drums
-                        if (blk.drums[s]) {
-                            // Note: blk.drums contains Channel IDs (indices)
-                            blk.drums[s].forEach(id => offDrum.play(id, t));
-                        }
-                        // Bass
-                        if (blk.tracks) {
-                            Object.keys(blk.tracks).forEach(tid => {
-                                const n = blk.tracks[tid][s];
-                                if (n) {
-                                    const syn = offBassSynths.find(k => k.id === tid);
-                                    if (syn) syn.play(n.note, n.octave, t, 0.25, n.slide, n.accent);
-                                }
-                            });
-                        }
-                        t += secPerStep;
-                    }
+    // --- STEM EXPORT ---
+    // One aligned WAV per bass synth and per drum channel (or one drum group), zipped.
+    // Every stem is a full render with the other strips silenced, so sends, ducking and
+    // probability rolls match the mix. Pre master: straight from the mix bus, no EQ/Comp/Limiter.
+    async renderStems() {
+        if (window.AppState.isPlaying) this.stopPlayback();
+        const st = window.AppState;
+        const preMaster = st.stemChain === 'pre';
+
+        try {
+            const format = this.getExportFormat();
+            const range = this.getExportRange(format);
+            const stems = this.getStems(range.order, st.stemDrums === 'group');
+            if (stems.length === 0) throw new Error("Nothing to render (no audible tracks with notes)");
+
+            // Normalize / auto-tail need every stem first: one gain and one length for all keeps
+            // the balance and the alignment. Analysis pass renders and drops (no buffers held)
+            let fit = { gain: 1, length: Math.ceil(range.duration * format.rate) };
+            if (format.normalize !== null || format.tail === 'auto') {
+                const stats = [];
+                for (let i = 0; i < stems.length; i++) {
+                    if(window.logToScreen) window.logToScreen(`Analysing Stem ${i + 1}/${stems.length}: ${stems[i].name}`);
+                    stats.push(this.analyseBuffer(await this.renderOffline(range.order, range.duration, stems[i], preMaster, format.rate)));
                 }
+                fit = this.getExportFit(stats, format, range);
             }
 
-            // 4. RENDER
-            if(window.logToScreen) window.logToScreen("Rendering Audio Buffer...");
-            const renderedBuffer = await offCtx.startRendering();
-            
-            if(window.logToScreen) window.logToScreen("Encoding WAV...");
-            const wavBlob = this.bufferToWave(renderedBuffer, renderedBuffer.length);
-            
-            // 5. TRIGGER DOWNLOAD (Robust Method)
-            const url = URL.createObjectURL(wavBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            a.download = `ND23_Render_${Date.now()}.wav`;
-            
-            // Critical: Append to body for browser compatibility
-            document.body.appendChild(a);
-            a.click();
-            
-            // Cleanup
-            setTimeout(() => {
-                document.body.removeChild(a);
-                window.URL.revokeObjectURL(url);
-            }, 100);
-            
-            if(window.logToScreen) window.logToScreen("Download Started [OK]");
+            const zip = new window.ZipWriter();
+            for (let i = 0; i < stems.length; i++) {
+                const stem = stems[i];
+                if(window.logToScreen) window.logToScreen(`Rendering Stem ${i + 1}/${stems.length}: ${stem.name}`);
+                const buffer = await this.renderOffline(range.order, range.duration, stem, preMaster, format.rate);
+                const num = String(i + 1).padStart(2, '0');
+                zip.add(`${num}_${stem.name.replace(/[^A-Z0-9-]+/gi, '_')}.wav`, this.encodeWav(buffer, fit.length, { ...format, gain: fit.gain }));
+            }
+
+            this.downloadBlob(zip.toBlob(), `ND23_Stems_${Date.now()}.zip`);
+            if(window.logToScreen) window.logToScreen(`Stems Exported: ${stems.length} files, ${AudioEngine.describeFormat(format)}, ${preMaster ? 'PRE' : 'POST'} MASTER [OK]`);
             return true;
 
         } catch (e) {
             console.error(e);
-            if(window.logToScreen) window.logToScreen("Render Error: " + e.message, 'error');
+            if(window.logToScreen) window.logToScreen("Stem Error: " + e.message, 'error');
             return false;
         }
     }
 
-    bufferToWave(abuffer, len) {
+    // Audible strips that play in the rendered blocks: { name, synths: [ids], drums: [channel ids] }
+    getStems(order, drumGroup) {
+        const tm = window.timeMatrix;
+        const drum = window.drumSynth;
+        const channels = drum ? drum.channels : [];
+        const soloActive = this.bassSynths.some(s => s.solo) || channels.some(ch => ch.solo);
+        const audible = (strip) => !strip.mute && (!soloActive || strip.solo);
+        const blocks = [...new Set(order)].map(b => tm.blocks[b]);
+
+        const stems = this.bassSynths
+            .filter(s => audible(s) && blocks.some(b => (b.tracks[s.id] || []).some(n => n)))
+            .map(s => ({ name: s.id.toUpperCase(), synths: [s.id], drums: [] }));
+
+        const hits = channels
+            .filter(ch => ch.variant !== 0 && audible(ch) && blocks.some(b => b.drums.some(step => step.some(h => h.id === ch.id))))
+            .map(ch => ch.id);
+        if (drumGroup && hits.length) stems.push({ name: 'DRUMS', synths: [], drums: hits });
+        else hits.forEach(id => stems.push({ name: channels[id].name, synths: [], drums: [id] }));
+        return stems;
+    }
+
+    // --- EXPORT FORMAT ---
+    // Export modal settings, sanitized (projects may carry anything in their UI prefs)
+    getExportFormat() {
+        const st = window.AppState;
+        const peak = parseFloat(st.exportNormalize);
+        const tail = parseFloat(st.exportTail);
+        return {
+            bits: AudioEngine.EXPORT_BITS.includes(st.exportBits) ? st.exportBits : 16,
+            rate: AudioEngine.EXPORT_RATES.includes(st.exportRate) ? st.exportRate : 44100,
+            dither: st.exportDither !== false,
+            normalize: isNaN(peak) ? null : Math.min(0, peak), // Target peak in dBFS, null = off
+            tail: st.exportTail === 'auto' ? 'auto' : (isNaN(tail) ? 2 : Math.max(0, tail)) // Seconds after the last step
+        };
+    }
+
+    // Block order, music length and render length (music + tail) of the export modal's range
+    getExportRange(format = this.getExportFormat()) {
+        // Follows the song arrangement when active, otherwise the block pool
+        // (or just the transport loop when the modal asks for it)
+        const order = this.getRenderOrder(window.AppState.exportReps, window.AppState.exportScope === 'loop');
+        // Timing follows the tempo map (per-block tempo and ramps)
+        const musicEnd = this.getSequenceDuration(order);
+        // Auto-tail renders the longest tail, then trims the silence
+        return { order, musicEnd, duration: musicEnd + (format.tail === 'auto' ? AudioEngine.AUTO_TAIL_MAX : format.tail) };
+    }
+
+    // Peak level and last sample above the silence floor (-1 = all silent)
+    analyseBuffer(buffer) {
+        let peak = 0, last = -1;
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                const a = Math.abs(data[i]);
+                if (a > peak) peak = a;
+            }
+            for (let i = data.length - 1; i > last; i--) {
+                if (Math.abs(data[i]) > AudioEngine.SILENCE_FLOOR) { last = i; break; }
+            }
+        }
+        return { peak, last };
+    }
+
+    // Gain (normalize) and length in samples (auto-tail) shared by a set of analysed renders.
+    // Auto-tail never cuts inside the music: loops keep their exact length for the DAW grid
+    getExportFit(stats, format, range) {
+        const peak = Math.max(0, ...stats.map(s => s.peak));
+        const gain = (format.normalize !== null && peak > 0) ? Math.pow(10, format.normalize / 20) / peak : 1;
+        let length = Math.ceil(range.duration * format.rate);
+        if (format.tail === 'auto') {
+            const end = Math.max(Math.ceil(range.musicEnd * format.rate), ...stats.map(s => s.last + 1));
+            length = Math.min(length, end);
+        }
+        return { gain, length };
+    }
+
+    // Renders the block order into a stereo AudioBuffer.
+    // stem: only its synths / drum channels sound (null = full mix). preMaster: skip the master chain
+    async renderOffline(order, duration, stem = null, preMaster = false, rate = 44100) {
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        // 2 channels, length in samples, sample rate
+        const offCtx = new OfflineCtx(2, Math.ceil(rate * duration), rate);
+        
+        const offMaster = offCtx.createGain();
+        offMaster.gain.value = 0.6;
+        if (preMaster) {
+            offMaster.connect(offCtx.destination);
+        } else {
+            // Master Bus rebuilt with the live settings (same chain as playback)
+            const offBus = new window.MasterBus(this.masterBus.settings);
+            offBus.init(offCtx, offCtx.destination);
+            offMaster.connect(offBus.input);
+        }
+
+        // Send buses rebuilt with the live settings
+        const offSends = new window.SendFx(this.sendFx.settings);
+        offSends.init(offCtx, offMaster);
+
+        // 1. CLONE BASS SYNTHS
+        const offBassSynths = [];
+        this.bassSynths.forEach(liveSynth => {
+            const s = new window.BassSynth(liveSynth.id);
+            s.init(offCtx, offMaster, offSends); // Connect to offline master
+            // Copies params and applies FX values to the new offline nodes
+            s.applyParams(liveSynth.params);
+            s.mute = liveSynth.mute;
+            s.solo = liveSynth.solo;
+            offBassSynths.push(s);
+        });
+
+        // 2. CLONE DRUM SYNTH
+        // Must create a new instance attached to offCtx
+        const offDrum = new window.DrumSynth();
+        offDrum.init(offCtx, offMaster, offSends);
+        offDrum.sidechainTargets = offBassSynths;
+        
+        if (window.drumSynth) {
+            offDrum.setMasterVolume(window.drumSynth.masterVolume);
+            
+            // Deep copy channel states (Volume, Variant, Sends & Mixer)
+            window.drumSynth.channels.forEach(ch => {
+                offDrum.setChannelVolume(ch.id, ch.volume);
+                offDrum.setChannelVariant(ch.id, ch.variant);
+                offDrum.setChannelSend(ch.id, 'sendDelay', ch.sendDelay);
+                offDrum.setChannelSend(ch.id, 'sendReverb', ch.sendReverb);
+                offDrum.setChannelPan(ch.id, ch.pan);
+                offDrum.channels[ch.id].mute = ch.mute;
+                offDrum.channels[ch.id].solo = ch.solo;
+                offDrum.channels[ch.id].sidechain = { ...ch.sidechain };
+            });
+        }
+        // Mute/Solo snaps instantly so nothing leaks at t=0
+        this.applyMix(offBassSynths, offDrum, true);
+        // Stem: everything else still plays (ducking triggers, RNG order) but is not heard
+        if (stem) {
+            offBassSynths.forEach(s => { if (!stem.synths.includes(s.id)) s.setAudible(false, true); });
+            offDrum.channels.forEach(ch => { if (!stem.drums.includes(ch.id)) offDrum.setChannelAudible(ch.id, false, true); });
+        }
+
+        // 3. SCHEDULE EVENTS (Offline Timeline)
+        if(window.logToScreen && !stem) window.logToScreen("Scheduling Events...");
+        
+        const fillState = !!window.AppState.fillActive;
+        const offRun = this.createRun(offDrum, offBassSynths, window.AppState.renderSeed, () => fillState, offSends);
+        
+        let t = 0.0;
+        order.forEach((b, i) => {
+            const next = i + 1 < order.length ? order[i + 1] : null;
+            const len = window.timeMatrix.getBlockLength(b);
+            for (let s = 0; s < len; s++) {
+                const secPerStep = this.getSecPerStep(b, s, next);
+                this.playStep(b, s, t, secPerStep, offRun);
+                t += secPerStep;
+            }
+        });
+
+        // 4. RENDER
+        if(window.logToScreen && !stem) window.logToScreen("Rendering Audio Buffer...");
+        return offCtx.startRendering();
+    }
+
+    // Triggers a browser download (Robust Method)
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = filename;
+        
+        // Critical: Append to body for browser compatibility
+        document.body.appendChild(a);
+        a.click();
+        
+        // Cleanup
+        setTimeout(() => {
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    bufferToWave(abuffer, len, format = {}) {
+        return new Blob([this.encodeWav(abuffer, len, format)], {type: "audio/wav"});
+    }
+
+    // WAV file as an ArrayBuffer.
+    // format.bits: 16 / 24 = PCM, 32 = IEEE float. format.gain: normalize factor.
+    // format.dither: TPDF noise (+-1 LSB) before rounding to integer PCM
+    encodeWav(abuffer, len, format = {}) {
+        const bits = format.bits || 16;
+        const gain = format.gain !== undefined ? format.gain : 1;
+        const isFloat = bits === 32;
+        const bytes = bits / 8;
+        const scale = Math.pow(2, bits - 1); // Full scale in integer steps
+        const dither = !isFloat && !!format.dither;
         let numOfChan = abuffer.numberOfChannels,
-            length = len * numOfChan * 2 + 44,
+            dataLength = len * numOfChan * bytes,
+            length = dataLength + (isFloat ? 58 : 44), // Float: extended fmt + fact chunk
             buffer = new ArrayBuffer(length),
             view = new DataView(buffer),
             channels = [], i, sample,
@@ -333,33 +811,58 @@ class AudioEngine {
 
         // fmt Chunk
         setUint32(0x20746d66); // "fmt "
-        setUint32(16); // length = 16
-        setUint16(1); // PCM (uncompressed)
+        setUint32(isFloat ? 18 : 16); // length
+        setUint16(isFloat ? 3 : 1); // 1 = PCM (uncompressed), 3 = IEEE float
         setUint16(numOfChan);
         setUint32(abuffer.sampleRate);
-        setUint32(abuffer.sampleRate * 2 * numOfChan); // avg. bytes/sec
-        setUint16(numOfChan * 2); // block-align
-        setUint16(16); // 16-bit
+        setUint32(abuffer.sampleRate * bytes * numOfChan); // avg. bytes/sec
+        setUint16(numOfChan * bytes); // block-align
+        setUint16(bits);
+        if (isFloat) {
+            setUint16(0); // cbSize (no extension)
+            setUint32(0x74636166); // "fact"
+            setUint32(4);
+            setUint32(len); // sample frames
+        }
 
         // data Chunk
         setUint32(0x61746164); // "data"
-        setUint32(length - pos - 4); // chunk length
+        setUint32(dataLength); // chunk length
 
         // Interleave channels
         for(i = 0; i < numOfChan; i++) channels.push(abuffer.getChannelData(i));
 
         while(pos < length) {
             for(i = 0; i < numOfChan; i++) {
-                // Clamp and convert float to 16-bit PCM
-                sample = Math.max(-1, Math.min(1, channels[i][offset])); 
-                sample = (0.5 + sample < 0 ? sample * 32768 : sample * 32767)|0; 
-                view.setInt16(pos, sample, true); 
-                pos += 2;
+                sample = channels[i][offset] * gain;
+                if (isFloat) {
+                    view.setFloat32(pos, sample, true);
+                } else {
+                    // Scale, dither, round, clamp to the integer range
+                    sample = sample * scale + (dither ? Math.random() - Math.random() : 0);
+                    sample = Math.max(-scale, Math.min(scale - 1, Math.round(sample)));
+                    if (bits === 16) view.setInt16(pos, sample, true);
+                    else {
+                        view.setUint8(pos, sample & 0xFF);
+                        view.setUint8(pos + 1, (sample >> 8) & 0xFF);
+                        view.setUint8(pos + 2, (sample >> 16) & 0xFF);
+                    }
+                }
+                pos += bytes;
             }
             offset++;
         }
-        return new Blob([buffer], {type: "audio/wav"});
+        return buffer;
+    }
+
+    static describeFormat(format) {
+        return `${format.bits === 32 ? '32-bit float' : `${format.bits}-bit`} / ${format.rate} Hz`;
     }
 }
 
+AudioEngine.EXPORT_BITS = [16, 24, 32];
+AudioEngine.EXPORT_RATES = [44100, 48000, 96000];
+AudioEngine.AUTO_TAIL_MAX = 10; // s rendered after the music before auto-tail trims it
+AudioEngine.SILENCE_FLOOR = Math.pow(10, -90 / 20); // -90 dBFS: quieter samples count as silence
+
 window.AudioEngine = AudioEngine;
\ No newline at end of file
@@ -8,7 +8,19 @@ class BassSynth {
         this.id = id;
         this.ctx = null;
         this.output = null; 
+        this.channelOut = null; // Post-FX channel bus (shared + per-note FX chains) -> duck -> pan -> mute -> master & sends
+        this.duckGain = null; // Sidechain ducking (see Ducker)
+        this.ducker = null;
+        this.panner = null;
+        this.muteGain = null;
+        this.sendDelay = null;
+        this.sendReverb = null;
+
+        // Mixer switches (live state, outside params/undo). Solo logic lives in AudioEngine.applyMix
+        this.mute = false;
+        this.solo = false;
         this.fxChain = null; 
+        this.fxHeld = false; // La cadena compartida tiene valores de una nota con locks/LFO
         this.lastFreq = 0;
         
         // Default Params (Expanded)
@@ -22,12 +34,45 @@ class BassSynth {
             envMod: 60,
             decay: 40,
             accentInt: 50,    // Accent Intensity (How much accent affects filter)
-            waveform: 'sawtooth'
+            waveform: 'sawtooth',
+            sendDelay: 0,     // Send level to the delay bus
+            sendReverb: 0,    // Send level to the reverb bus
+            pan: 0,           // Stereo position -100 (L) .. 100 (R)
+            // Sidechain: ducks under a drum channel's triggers (source -1 = off), attack/release in ms
+            sidechain: { source: -1, depth: 60, attack: 5, release: 150 },
+            // Tempo-synced LFOs: rate in steps (16 = 1 bar), depth -100..100 (% of the target range)
+            lfos: [
+                { target: 'none', shape: 'sine', rate: 16, depth: 0, retrig: true },
+                { target: 'none', shape: 'sine', rate: 16, depth: 0, retrig: true }
+            ]
         };
     }
 
-    init(audioContext, destinationNode) {
+    // sends: optional SendFx whose bus inputs receive this channel's send gains
+    init(audioContext, destinationNode, sends = null) {
         this.ctx = audioContext;
+
+        // Channel Strip: everything post-FX sums here, then Duck -> Pan -> Mute -> Master & Sends
+        this.channelOut = this.ctx.createGain();
+        this.duckGain = this.ctx.createGain();
+        this.ducker = new window.Ducker(this.duckGain.gain);
+        this.panner = this.ctx.createStereoPanner();
+        this.muteGain = this.ctx.createGain();
+        this.channelOut.connect(this.duckGain);
+        this.duckGain.connect(this.panner);
+        this.panner.connect(this.muteGain);
+        this.muteGain.connect(destinationNode);
+        this.sendDelay = this.ctx.createGain();
+        this.sendReverb = this.ctx.createGain();
+        this.muteGain.connect(this.sendDelay);
+        this.muteGain.connect(this.sendReverb);
+        if (sends) {
+            this.sendDelay.connect(sends.delayInput);
+            this.sendReverb.connect(sends.reverbInput);
+        }
+        this.setSendDelay(this.params.sendDelay);
+        this.setSendReverb(this.params.sendReverb);
+        this.setPan(this.params.pan);
         
         try {
             if (typeof window.BassDistortion !== 'undefined') {
@@ -38,17 +83,17 @@ class BassSynth {
                 this.fxChain.setTone(this.params.distTone);
                 this.fxChain.setPostGain(this.params.distGain);
                 
-                this.fxChain.connect(destinationNode);
+                this.fxChain.connect(this.channelOut);
                 this.output = this.fxChain.input; 
             } else {
                 console.warn("BassDistortion class missing, running clean.");
                 this.output = this.ctx.createGain();
-                this.output.connect(destinationNode);
+                this.output.connect(this.channelOut);
             }
         } catch (e) {
             console.error("Error initializing FX Chain:", e);
             this.output = this.ctx.createGain();
-            this.output.connect(destinationNode);
+            this.output.connect(this.channelOut);
         }
     }
 
@@ -77,9 +122,117 @@ class BassSynth {
     setAccentInt(val) { this.params.accentInt = val; }
     setWaveform(val) { this.params.waveform = val; }
 
+    setSendDelay(val) {
+        this.params.sendDelay = val;
+        if(this.sendDelay) this.sendDelay.gain.setTargetAtTime(val / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setSendReverb(val) {
+        this.params.sendReverb = val;
+        if(this.sendReverb) this.sendReverb.gain.setTargetAtTime(val / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setPan(val) {
+        this.params.pan = Math.max(-100, Math.min(100, val));
+        if(this.panner) this.panner.pan.setTargetAtTime(this.params.pan / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setSidechain(key, val) { this.params.sidechain[key] = val; }
+
+    // Called by DrumSynth for every trigger of channel sourceId
+    duck(sourceId, time) {
+        const sc = this.params.sidechain;
+        if (this.ducker && sc.source === sourceId) this.ducker.trigger(sc, time);
+    }
+
+    // Mute/Solo result (see AudioEngine.applyMix). instant: no fade (offline renders)
+    setAudible(on, instant = false) {
+        if(!this.muteGain) return;
+        if(instant) this.muteGain.gain.value = on ? 1 : 0;
+        else this.muteGain.gain.setTargetAtTime(on ? 1 : 0, this.ctx.currentTime, 0.01);
+    }
+
+    // Bulk load (Undo / Offline clones): copies values and refreshes FX nodes
+    applyParams(params) {
+        this.params = { ...this.params, ...params };
+        if (params.lfos) this.params.lfos = params.lfos.map(l => ({ ...l }));
+        if (params.sidechain) this.params.sidechain = { ...params.sidechain };
+        if(this.fxChain) {
+            this.setDistortion(this.params.distortion);
+            this.setDistTone(this.params.distTone);
+            this.setDistGain(this.params.distGain);
+        }
+        if(this.channelOut) {
+            this.setSendDelay(this.params.sendDelay);
+            this.setSendReverb(this.params.sendReverb);
+            this.setPan(this.params.pan);
+        }
+    }
+
+    setLfo(index, key, val) {
+        const lfo = this.params.lfos[index];
+        if (lfo) lfo[key] = val;
+    }
+
+    // --- LFO ---
+    // Offsets added to the target params at a sequencer position, in (fractional) steps:
+    // blockPos inside the current block (retriggered LFOs), runPos since playback/render start
+    getLfoOffsets(blockPos, runPos) {
+        let out = null;
+        (this.params.lfos || []).forEach((lfo, i) => {
+            if (!lfo || lfo.target === 'none' || !lfo.depth) return;
+            const pos = lfo.retrig ? blockPos : runPos;
+            const rate = Math.max(1, lfo.rate);
+            const v = BassSynth.lfoShape(lfo.shape, (pos % rate) / rate, Math.floor(pos / rate), i);
+            out = out || {};
+            out[lfo.target] = (out[lfo.target] || 0) + v * (lfo.depth / 100) * BassSynth.paramMax(lfo.target);
+        });
+        return out;
+    }
+
+    // Bipolar (-1..1) waveform value at phase 0..1. S&H draws one value per cycle,
+    // seeded by the cycle number so live playback and offline renders agree.
+    static lfoShape(shape, phase, cycle, salt = 0) {
+        switch (shape) {
+            case 'triangle': return 1 - 4 * Math.abs(phase - 0.5);
+            case 'square': return phase < 0.5 ? 1 : -1;
+            case 'saw': return 2 * phase - 1;
+            case 'sh': return window.TrigConditions.createRng(cycle * 31 + salt + 1)() * 2 - 1;
+            default: return Math.sin(2 * Math.PI * phase);
+        }
+    }
+
+    static paramMax(param) { return param === 'resonance' ? 20 : 100; }
+
+    // LFOs on AudioParam targets (LFO_SWEEP) keep moving while the note sounds: the LFO is re-sampled
+    // every 1/LFO_POINTS_PER_STEP step from the note start and apply(target, value, time) schedules it.
+    // lfo: { block, run, secPerStep } note start position; base: params without LFO offsets
+    sweepLfo(lfo, time, seconds, base, apply) {
+        const targets = [...new Set((this.params.lfos || [])
+            .filter(l => l && l.depth && BassSynth.LFO_SWEEP.includes(l.target)).map(l => l.target))];
+        if (!targets.length || !(lfo.secPerStep > 0)) return;
+        const steps = seconds / lfo.secPerStep;
+        const points = Math.max(1, Math.min(BassSynth.LFO_MAX_POINTS, Math.ceil(steps * BassSynth.LFO_POINTS_PER_STEP)));
+        for (let i = 1; i <= points; i++) {
+            const s = steps * i / points;
+            const off = this.getLfoOffsets(lfo.block + s, lfo.run + s) || {};
+            targets.forEach(k => {
+                const v = Math.max(0, Math.min(BassSynth.paramMax(k), base[k] + (off[k] || 0)));
+                apply(k, v, time + s * lfo.secPerStep);
+            });
+        }
+    }
+
     // --- Play Note ---
-    play(note, octave, time, duration = 0.25, slide = false, accent = false) {
+    // duration: gate time in seconds (see BassSynth.GATES), gate: 'short' | 'normal' | 'long' | 'tie'
+    // locks: per-step parameter overrides for this note only (see BassSynth.LOCKABLE)
+    // lfo: note start position { block, run, secPerStep } for the LFOs (null = no modulation, e.g. previews)
+    play(note, octave, time, duration = 0.25, slide = false, accent = false, gate = 'normal', locks = null, lfo = null) {
         if (!this.ctx || !this.output) return;
+        const base = locks ? { ...this.params, ...locks } : this.params;
+        const mod = lfo ? this.getLfoOffsets(lfo.block, lfo.run) : null;
+        const p = mod ? { ...base } : base;
+        if (mod) Object.keys(mod).forEach(k => { p[k] = Math.max(0, Math.min(BassSynth.paramMax(k), p[k] + mod[k])); });
 
         // 1. Frecuencia MIDI
         const noteMap = {'C':0,'C#':1,'D':2,'D#':3,'E':4,'F':5,'F#':6,'G':7,'G#':8,'A':9,'A#':10,'B':11};
@@ -93,7 +246,7 @@ class BassSynth {
         const vca = this.ctx.createGain(); 
         
         // 3. Oscilador
-        osc.type = this.params.waveform;
+        osc.type = p.waveform;
         osc.detune.value = (Math.random() * 4) - 2; 
 
         // 4. Portamento (Glide)
@@ -109,20 +262,23 @@ class BassSynth {
         // 5. Filtro
         let filterNode = null;
         let filterDecay = 0.5;
+        let filterBase = 0; // Frecuencia base del filtro (referencia del LFO)
 
         if (typeof window.BassFilter !== 'undefined') {
             // Pasamos accentInt a la creación del filtro
             const fResult = window.BassFilter.create(
                 this.ctx, 
                 time, 
-                this.params, 
+                p, 
                 duration, 
                 slide, 
                 accent, 
-                this.params.accentInt
+                p.accentInt,
+                gate
             );
             filterNode = fResult.node;
             filterDecay = fResult.decayTime;
+            filterBase = window.BassFilter.baseFreq(p.cutoff);
         } else {
             filterNode = this.ctx.createBiquadFilter();
             filterNode.frequency.value = 1000; 
@@ -130,7 +286,7 @@ class BassSynth {
 
         // 6. Envolvente de Volumen (VCA)
         // Calculamos volumen base según el parámetro global
-        const volFactor = this.params.volume / 100;
+        const volFactor = p.volume / 100;
         
         // Si hay acento, damos un boost extra de volumen (clásico 303), 
         // pero respetando el techo del volumen global.
@@ -139,20 +295,59 @@ class BassSynth {
         
         vca.gain.setValueAtTime(0, time);
         
-        if (slide) {
-            vca.gain.linearRampToValueAtTime(peakVol, time + 0.02);
+        if (slide || gate === 'tie') {
+            // Slide y Tie sostienen la nota durante todo el gate (legato)
+            vca.gain.linearRampToValueAtTime(peakVol, time + (slide ? 0.02 : 0.005));
             vca.gain.setValueAtTime(peakVol, time + duration); 
             vca.gain.linearRampToValueAtTime(0, time + duration + 0.05);
         } else {
             vca.gain.linearRampToValueAtTime(peakVol, time + 0.005);
+            // Short / Normal / Long: el gate cierra la envolvente, el decay natural nunca supera el final del gate
             const releaseTime = Math.max(0.18, filterDecay); 
-            vca.gain.setTargetAtTime(0, time + 0.04, releaseTime / 4.5);
+            const gateEnd = time + Math.max(0.01, duration);
+            const decayStart = Math.min(time + 0.04, gateEnd);
+            vca.gain.setTargetAtTime(0, decayStart, releaseTime / 4.5);
+            if (gateEnd > decayStart) vca.gain.setTargetAtTime(0, gateEnd, 0.015);
         }
 
         // 7. Ruta de Señal
+        // Locks/LFO de tono y ganancia: se programan en la cadena compartida en el instante de la nota.
+        // Solo un drive distinto (cuantizado) necesita su propia cadena: la curva no es un AudioParam.
+        let noteFx = null;
+        const fx = this.fxChain;
+        if (fx) {
+            const fxMod = BassSynth.FX_LOCKS.some(k => (locks && locks[k] !== undefined) || (mod && mod[k]));
+            const drive = BassSynth.quantizeDrive(p.distortion);
+            if (fxMod && drive !== BassSynth.quantizeDrive(this.params.distortion) && this.channelOut) {
+                noteFx = new window.BassDistortion(this.ctx);
+                noteFx.setDistortion(drive);
+                noteFx.setTone(p.distTone, time);
+                noteFx.setPostGain(p.distGain, time);
+                noteFx.connect(this.channelOut);
+            } else if (fxMod || this.fxHeld) {
+                // Las notas sin locks devuelven la cadena a los valores del panel
+                fx.setTone(p.distTone, time);
+                fx.setPostGain(p.distGain, time);
+                this.fxHeld = fxMod;
+            }
+        }
+        // LFO durante la nota: cutoff vía detune (la envolvente sigue en frequency), Q y tono del FX.
+        // En la cadena compartida el barrido termina con el gate (la siguiente nota fija su propio tono).
+        const toneFx = noteFx || fx;
+        if (lfo && filterBase) {
+            filterNode.detune.setValueAtTime(0, time);
+            this.sweepLfo(lfo, time, duration + 0.05, base, (k, v, t) => {
+                if (k === 'cutoff') filterNode.detune.linearRampToValueAtTime(1200 * Math.log2(window.BassFilter.baseFreq(v) / filterBase), t);
+                else if (k === 'resonance') filterNode.Q.linearRampToValueAtTime(window.BassFilter.resonanceQ(v, accent, p.accentInt, filterBase), t);
+                else if (k === 'distTone' && toneFx && (noteFx || t <= time + duration)) {
+                    toneFx.toneFilter.frequency.linearRampToValueAtTime(window.BassDistortion.toneHz(v), t);
+                    if (!noteFx) this.fxHeld = true;
+                }
+            });
+        }
         osc.connect(filterNode);
         filterNode.connect(vca);
-        vca.connect(this.output); 
+        vca.connect(noteFx ? noteFx.input : this.output); 
 
         // 8. Ciclo de Vida
         osc.start(time);
@@ -163,9 +358,35 @@ class BassSynth {
                 osc.disconnect();
                 vca.disconnect();
                 filterNode.disconnect();
+                if (noteFx) noteFx.output.disconnect();
             } catch(e) {}
         };
     }
 }
 
+// Gate lengths as a fraction of one step (the VCA closes there, so short < normal < long at any tempo).
+// 'tie' holds the full step and is stretched by the scheduler across the following empty steps.
+BassSynth.GATES = { short: 0.25, normal: 0.5, long: 0.9, tie: 1.0 };
+BassSynth.GATE_ORDER = ['short', 'normal', 'long', 'tie'];
+
+// Synth ids end up in automation keys ('id:param'), CSV rows and the DOM: plain names only.
+// 'drum' / 'drums' are reserved (drum view and drum automation keys)
+BassSynth.ID_PATTERN = /^[a-z0-9_-]+$/i;
+BassSynth.isValidId = (id) => typeof id === 'string' && BassSynth.ID_PATTERN.test(id) && id !== 'drum' && id !== 'drums';
+
+// Params a step can override (note.locks). FX_LOCKS live in the distortion chain.
+BassSynth.LOCKABLE = ['volume', 'distortion', 'distTone', 'distGain', 'cutoff', 'resonance', 'envMod', 'decay', 'accentInt'];
+BassSynth.FX_LOCKS = ['distortion', 'distTone', 'distGain'];
+// Drive locks/LFOs snap to this grid: notes within the shared chain's step reuse it instead of a per-note chain
+BassSynth.DRIVE_STEP = 5;
+BassSynth.quantizeDrive = (v) => Math.round(v / BassSynth.DRIVE_STEP) * BassSynth.DRIVE_STEP;
+
+// LFO Options
+BassSynth.LFO_TARGETS = ['none', 'cutoff', 'resonance', 'envMod', 'decay', 'distortion', 'distTone'];
+BassSynth.LFO_SHAPES = ['sine', 'triangle', 'square', 'saw', 'sh'];
+BassSynth.LFO_RATES = [[1, '1/16'], [2, '1/8'], [4, '1/4'], [8, '1/2'], [16, '1 BAR'], [32, '2 BARS'], [64, '4 BARS'], [128, '8 BARS']];
+BassSynth.LFO_SWEEP = ['cutoff', 'resonance', 'distTone']; // Targets re-sampled during the note
+BassSynth.LFO_POINTS_PER_STEP = 16; // Sweep resolution (16 points per cycle at 1/16)
+BassSynth.LFO_MAX_POINTS = 128; // Long ties get a coarser sweep
+
 window.BassSynth = BassSynth;
\ No newline at end of file
@@ -15,17 +15,26 @@ class DrumSynth {
         
         // 9 Fixed Slots with Defaults
         // Variants: 0=OFF, 1=Default, 2-8=Alt Sounds
+        // sendDelay / sendReverb: post-fader send levels to the SendFx buses
+        // pan: -100..100, mute / solo: mixer switches (see AudioEngine.applyMix)
         this.channels = [
-            { id: 0, type: 'kick',  name: 'KICK',   variant: 1, volume: 90, gainNode: null, colorId: 0 },
-            { id: 1, type: 'snare', name: 'SNARE',  variant: 1, volume: 85, gainNode: null, colorId: 1 },
-            { id: 2, type: 'clap',  name: 'CLAP',   variant: 1, volume: 80, gainNode: null, colorId: 2 },
-            { id: 3, type: 'chat',  name: 'CL.HAT', variant: 1, volume: 75, gainNode: null, colorId: 3 },
-            { id: 4, type: 'ohat',  name: 'OP.HAT', variant: 1, volume: 75, gainNode: null, colorId: 4 },
-            { id: 5, type: 'ltom',  name: 'LO TOM', variant: 1, volume: 80, gainNode: null, colorId: 5 },
-            { id: 6, type: 'htom',  name: 'HI TOM', variant: 1, volume: 80, gainNode: null, colorId: 6 },
-            { id: 7, type: 'crash', name: 'CRASH',  variant: 1, volume: 70, gainNode: null, colorId: 7 },
-            { id: 8, type: 'perc',  name: 'PERC',   variant: 1, volume: 75, gainNode: null, colorId: 8 }
+            { id: 0, type: 'kick',  name: 'KICK',   variant: 1, volume: 90, gainNode: null, colorId: 0, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 1, type: 'snare', name: 'SNARE',  variant: 1, volume: 85, gainNode: null, colorId: 1, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 2, type: 'clap',  name: 'CLAP',   variant: 1, volume: 80, gainNode: null, colorId: 2, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 3, type: 'chat',  name: 'CL.HAT', variant: 1, volume: 75, gainNode: null, colorId: 3, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 4, type: 'ohat',  name: 'OP.HAT', variant: 1, volume: 75, gainNode: null, colorId: 4, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 5, type: 'ltom',  name: 'LO TOM', variant: 1, volume: 80, gainNode: null, colorId: 5, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 6, type: 'htom',  name: 'HI TOM', variant: 1, volume: 80, gainNode: null, colorId: 6, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 7, type: 'crash', name: 'CRASH',  variant: 1, volume: 70, gainNode: null, colorId: 7, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false },
+            { id: 8, type: 'perc',  name: 'PERC',   variant: 1, volume: 75, gainNode: null, colorId: 8, sendDelay: 0, sendReverb: 0, pan: 0, mute: false, solo: false }
         ];
+        // Sidechain per channel: ducks under another channel's triggers (source -1 = off)
+        this.channels.forEach(ch => { ch.sidechain = { source: -1, depth: 60, attack: 5, release: 150 }; });
+        // MIDI note per channel (SMF export / import), General MIDI defaults
+        this.channels.forEach(ch => { ch.midiNote = DrumSynth.GM_NOTES[ch.type]; });
+
+        // External strips ducked by our triggers (objects with duck(sourceId, time), i.e. BassSynths)
+        this.sidechainTargets = [];
 
         // Updated High-Contrast Palette (v38)
         this.channelColors = [
@@ -41,7 +50,8 @@ class DrumSynth {
         ];
     }
 
-    init(audioContext, destination) {
+    // sends: optional SendFx whose bus inputs receive the channel send gains
+    init(audioContext, destination, sends = null) {
         this.ctx = audioContext;
         
         // Master Bus
@@ -49,11 +59,30 @@ class DrumSynth {
         this.setMasterVolume(this.masterVolume);
         this.masterGain.connect(destination);
 
-        // Initialize Channel Gains
+        // Initialize Channel Strips: Volume -> Duck -> Pan -> Mute -> Master & Sends
         this.channels.forEach(ch => {
             ch.gainNode = this.ctx.createGain();
             this.setChannelVolume(ch.id, ch.volume);
-            ch.gainNode.connect(this.masterGain);
+            ch.duckGain = this.ctx.createGain();
+            ch.ducker = new window.Ducker(ch.duckGain.gain);
+            ch.panner = this.ctx.createStereoPanner();
+            ch.muteGain = this.ctx.createGain();
+            ch.gainNode.connect(ch.duckGain);
+            ch.duckGain.connect(ch.panner);
+            ch.panner.connect(ch.muteGain);
+            ch.muteGain.connect(this.masterGain);
+            this.setChannelPan(ch.id, ch.pan);
+
+            ch.delayGain = this.ctx.createGain();
+            ch.reverbGain = this.ctx.createGain();
+            ch.muteGain.connect(ch.delayGain);
+            ch.muteGain.connect(ch.reverbGain);
+            if (sends) {
+                ch.delayGain.connect(sends.delayInput);
+                ch.reverbGain.connect(sends.reverbInput);
+            }
+            this.setChannelSend(ch.id, 'sendDelay', ch.sendDelay);
+            this.setChannelSend(ch.id, 'sendReverb', ch.sendReverb);
         });
 
         this.createNoiseBuffer();
@@ -80,6 +109,66 @@ class DrumSynth {
         }
     }
 
+    // key: 'sendDelay' | 'sendReverb' (0-100)
+    setChannelSend(id, key, val) {
+        const ch = this.channels[id];
+        if(!ch) return;
+        ch[key] = Math.max(0, Math.min(100, val));
+        const node = key === 'sendDelay' ? ch.delayGain : ch.reverbGain;
+        if(node) node.gain.setTargetAtTime(ch[key] / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setChannelPan(id, val) {
+        const ch = this.channels[id];
+        if(!ch) return;
+        ch.pan = Math.max(-100, Math.min(100, val));
+        if(ch.panner) ch.panner.pan.setTargetAtTime(ch.pan / 100, this.ctx.currentTime, 0.02);
+    }
+
+    // Mute/Solo result (see AudioEngine.applyMix). instant: no fade (offline renders)
+    setChannelAudible(id, on, instant = false) {
+        const ch = this.channels[id];
+        if(!ch || !ch.muteGain) return;
+        if(instant) ch.muteGain.gain.value = on ? 1 : 0;
+        else ch.muteGain.gain.setTargetAtTime(on ? 1 : 0, this.ctx.currentTime, 0.01);
+    }
+
+    // Automation: scheduled volume change that leaves the stored volume untouched.
+    // target: 'master' or channel id
+    automateVolume(target, val, time) {
+        const node = target === 'master' ? this.masterGain : (this.channels[target] ? this.channels[target].gainNode : null);
+        if(!node) return;
+        const gain = (Math.max(0, Math.min(100, val)) / 100) ** 1.5;
+        node.gain.setTargetAtTime(gain, time, 0.02);
+    }
+
+    // Drops pending automation and returns every gain to its stored volume
+    resetAutomation() {
+        if(!this.ctx) return;
+        const now = this.ctx.currentTime;
+        if(this.masterGain) this.masterGain.gain.cancelScheduledValues(now);
+        this.channels.forEach(ch => { if(ch.gainNode) ch.gainNode.gain.cancelScheduledValues(now); });
+        this.setMasterVolume(this.masterVolume);
+        this.channels.forEach(ch => this.setChannelVolume(ch.id, ch.volume));
+        this.channels.forEach(ch => { if(ch.ducker) ch.ducker.reset(now); });
+    }
+
+    setChannelSidechain(id, key, val) {
+        if(this.channels[id]) this.channels[id].sidechain[key] = val;
+    }
+
+    // Sidechain key: every trigger of channelId ducks the strips listening to it
+    triggerSidechain(channelId, time) {
+        this.channels.forEach(ch => {
+            if(ch.id !== channelId && ch.ducker && ch.sidechain.source === channelId) ch.ducker.trigger(ch.sidechain, time);
+        });
+        this.sidechainTargets.forEach(t => t.duck(channelId, time));
+    }
+
+    setChannelMidiNote(id, note) {
+        if(this.channels[id] && !isNaN(note)) this.channels[id].midiNote = Math.max(0, Math.min(127, note));
+    }
+
     setChannelVariant(id, variant) {
         if(this.channels[id]) {
             this.channels[id].variant = parseInt(variant);
@@ -88,24 +177,32 @@ class DrumSynth {
 
     // --- PLAYBACK ---
 
-    play(channelId, time) {
+    // velocity: 1-127 (100 = nominal level, see DrumSynth.VELOCITY)
+    play(channelId, time, velocity = 100) {
         if (!this.ctx) return;
         const ch = this.channels[channelId];
+        if (!ch) return;
+
+        // Keyed before the variant check: an OFF channel works as a silent (ghost) sidechain key
+        this.triggerSidechain(channelId, time);
         
         // 0 = Disabled
-        if (!ch || ch.variant === 0) return;
+        if (ch.variant === 0) return;
+
+        // Envelope scale factor applied to every voice peak
+        const v = Math.max(1, Math.min(127, velocity)) / 100;
 
         // Route based on type
         switch (ch.type) {
-            case 'kick':  this.synthKick(time, ch); break;
-            case 'snare': this.synthSnare(time, ch); break;
-            case 'clap':  this.synthClap(time, ch); break;
-            case 'chat':  this.synthHat(time, ch, false); break;
-            case 'ohat':  this.synthHat(time, ch, true); break;
-            case 'ltom':  this.synthTom(time, ch, 100); break;
-            case 'htom':  this.synthTom(time, ch, 250); break;
-            case 'crash': this.synthCrash(time, ch); break;
-            case 'perc':  this.synthPerc(time, ch); break;
+            case 'kick':  this.synthKick(time, ch, v); break;
+            case 'snare': this.synthSnare(time, ch, v); break;
+            case 'clap':  this.synthClap(time, ch, v); break;
+            case 'chat':  this.synthHat(time, ch, false, v); break;
+            case 'ohat':  this.synthHat(time, ch, true, v); break;
+            case 'ltom':  this.synthTom(time, ch, 100, v); break;
+            case 'htom':  this.synthTom(time, ch, 250, v); break;
+            case 'crash': this.synthCrash(time, ch, v); break;
+            case 'perc':  this.synthPerc(time, ch, v); break;
         }
     }
 
@@ -122,7 +219,7 @@ class DrumSynth {
     }
 
     // 1. KICK (Punchy, Deep, Distorted)
-    synthKick(time, ch) {
+    synthKick(time, ch, v = 1) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
         
@@ -142,7 +239,7 @@ class DrumSynth {
         osc.frequency.setValueAtTime(startFreq, time);
         osc.frequency.exponentialRampToValueAtTime(endFreq, time + decay);
 
-        gain.gain.setValueAtTime(1, time);
+        gain.gain.setValueAtTime(1 * v, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
 
         osc.connect(gain);
@@ -153,7 +250,7 @@ class DrumSynth {
     }
 
     // 2. SNARE (Neuro, Tight, Trash)
-    synthSnare(time, ch) {
+    synthSnare(time, ch, v = 1) {
         // A. Tone
         const osc = this.ctx.createOscillator();
         const oscGain = this.ctx.createGain();
@@ -189,10 +286,10 @@ class DrumSynth {
         // Envelopes
         osc.frequency.setValueAtTime(toneFreq, time);
         osc.frequency.exponentialRampToValueAtTime(toneFreq/2, time + 0.1);
-        oscGain.gain.setValueAtTime(0.5, time);
+        oscGain.gain.setValueAtTime(0.5 * v, time);
         oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.15);
 
-        noiseGain.gain.setValueAtTime(0.8, time);
+        noiseGain.gain.setValueAtTime(0.8 * v, time);
         noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.25);
 
         // Connections
@@ -204,7 +301,7 @@ class DrumSynth {
     }
 
     // 3. CLAP (Layered Noise Pulse)
-    synthClap(time, ch) {
+    synthClap(time, ch, v = 1) {
         const noise = this.ctx.createBufferSource();
         noise.buffer = this.noiseBuffer;
         const filter = this.ctx.createBiquadFilter();
@@ -217,9 +314,9 @@ class DrumSynth {
 
         // Clap Envelope (Multi-pulse simulation)
         gain.gain.setValueAtTime(0, time);
-        gain.gain.linearRampToValueAtTime(0.8, time + 0.01);
-        gain.gain.exponentialRampToValueAtTime(0.1, time + 0.02); // Slap 1
-        gain.gain.setValueAtTime(0.6, time + 0.03);
+        gain.gain.linearRampToValueAtTime(0.8 * v, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.1 * v, time + 0.02); // Slap 1
+        gain.gain.setValueAtTime(0.6 * v, time + 0.03);
         gain.gain.exponentialRampToValueAtTime(0.001, time + 0.2); // Tail
 
         noise.connect(filter); filter.connect(gain); gain.connect(ch.gainNode);
@@ -227,7 +324,7 @@ class DrumSynth {
     }
 
     // 4. HATS (FM Metallic + Filtered Noise)
-    synthHat(time, ch, isOpen) {
+    synthHat(time, ch, isOpen, v = 1) {
         // Metallic FM base (6 Square oscillators at strange ratios)
         // For simplicity/CPU, we use filtered noise + high freq square
         const source = this.ctx.createBufferSource();
@@ -242,7 +339,7 @@ class DrumSynth {
 
         const gain = this.ctx.createGain();
         const decay = isOpen ? 0.4 : 0.05;
-        const vol = isOpen ? 0.6 : 0.8;
+        const vol = (isOpen ? 0.6 : 0.8) * v;
 
         gain.gain.setValueAtTime(vol, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
@@ -252,7 +349,7 @@ class DrumSynth {
     }
 
     // 5. TOMS (Pitch Sweep)
-    synthTom(time, ch, basePitch) {
+    synthTom(time, ch, basePitch, v = 1) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
 
@@ -262,7 +359,7 @@ class DrumSynth {
         osc.frequency.setValueAtTime(p, time);
         osc.frequency.exponentialRampToValueAtTime(p * 0.2, time + 0.4);
 
-        gain.gain.setValueAtTime(0.8, time);
+        gain.gain.setValueAtTime(0.8 * v, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + 0.4);
 
         osc.connect(gain); gain.connect(ch.gainNode);
@@ -270,7 +367,7 @@ class DrumSynth {
     }
 
     // 6. CRASH / RIDE
-    synthCrash(time, ch) {
+    synthCrash(time, ch, v = 1) {
         // Multiple detuned squares + Noise
         const noise = this.ctx.createBufferSource();
         noise.buffer = this.noiseBuffer;
@@ -279,7 +376,7 @@ class DrumSynth {
         hp.frequency.value = ch.variant === 1 ? 2000 : 5000; // 1=Crash, 2=Ride-ish
 
         const gain = this.ctx.createGain();
-        gain.gain.setValueAtTime(0.5, time);
+        gain.gain.setValueAtTime(0.5 * v, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + 1.5); // Long decay
 
         noise.connect(hp); hp.connect(gain); gain.connect(ch.gainNode);
@@ -287,7 +384,7 @@ class DrumSynth {
     }
 
     // 7. PERC / GLITCH (FM Synthesis)
-    synthPerc(time, ch) {
+    synthPerc(time, ch, v = 1) {
         const osc = this.ctx.createOscillator();
         const mod = this.ctx.createOscillator();
         const modGain = this.ctx.createGain();
@@ -311,7 +408,7 @@ class DrumSynth {
         }
 
         // Envelope
-        outGain.gain.setValueAtTime(0.7, time);
+        outGain.gain.setValueAtTime(0.7 * v, time);
         outGain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
 
         mod.connect(modGain);
@@ -324,6 +421,13 @@ class DrumSynth {
     }
 }
 
+// Hit Velocity Levels (drum step data stores the raw 1-127 value)
+DrumSynth.VELOCITY = { ghost: 40, normal: 100, accent: 127 };
+DrumSynth.VELOCITY_ORDER = ['normal', 'accent', 'ghost'];
+
+// General MIDI percussion keys (channel 10) per channel type, in channel order
+DrumSynth.GM_NOTES = { kick: 36, snare: 38, clap: 39, chat: 42, ohat: 46, ltom: 45, htom: 50, crash: 49, perc: 37 };
+
 // ----------------------------------------------------
 // EXPORTING THE CLASS GLOBALLY FOR OFFLINE RENDERING
 // ----------------------------------------------------
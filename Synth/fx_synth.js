@@ -1,6 +1,7 @@
 /*
  * FX SYNTH MODULE (ACID CORE v4.5 - PRO AUDIO)
  * Focus: Warm harmonics, dynamic accent control, and tone shaping.
+ * Also hosts the sidechain Ducker shared by bass and drum channel strips.
  */
 
 // --- 1. FILTER ENGINE (Liquid 303 Style) ---
@@ -13,32 +14,17 @@ class BassFilter {
      * @param {boolean} slide - Is slide active?
      * @param {boolean} accent - Is accent active?
      * @param {number} accentInt - Accent Intensity (0-100)
+     * @param {string} gate - Gate type ('short' | 'normal' | 'long' | 'tie')
      */
-    static create(ctx, time, params, duration, slide, accent, accentInt = 50) {
+    static create(ctx, time, params, duration, slide, accent, accentInt = 50, gate = 'normal') {
         const filter = ctx.createBiquadFilter();
         filter.type = 'lowpass';
 
         // Mapeo de intensidad de acento (0 a 1.0)
         const accFactor = accentInt / 100;
 
-        // --- FRECUENCIA BASE (Logarítmica Musical) ---
-        const t = params.cutoff / 100; 
-        const baseFreq = 60 + (t * t * 9000); 
-
-        // --- RESONANCIA (Q Adaptativa) ---
-        let qVal = params.resonance; // 0-20 raw
-        
-        if (accent) {
-            // La resonancia ahora responde a la intensidad del acento
-            // Si accentInt es bajo, el boost es sutil. Si es alto, "grita".
-            const boost = 5 + (qVal * 1.5 * accFactor);
-            qVal = Math.min(28, qVal + boost); 
-        }
-        
-        // Compensación de agudos
-        if (baseFreq > 5000) qVal *= 0.6;
-        
-        filter.Q.value = Math.min(30, qVal);
+        const baseFreq = BassFilter.baseFreq(params.cutoff);
+        filter.Q.setValueAtTime(BassFilter.resonanceQ(params.resonance, accent, accentInt, baseFreq), time);
 
         // --- ENVOLVENTE (Modulation) ---
         // El acento también afecta cuánto se abre el filtro extra
@@ -58,7 +44,8 @@ class BassFilter {
             decayTime = 0.2 - (0.1 * accFactor);
         }
         
-        if (slide) decayTime = duration * 1.2;
+        // Slide y Tie: el filtro se mantiene abierto durante la nota sostenida
+        if (slide || gate === 'tie') decayTime = Math.max(decayTime, duration * 1.2);
 
         // --- AUTOMATIZACIÓN ---
         filter.frequency.setValueAtTime(baseFreq, time);
@@ -67,6 +54,27 @@ class BassFilter {
 
         return { node: filter, decayTime: decayTime };
     }
+
+    // --- FRECUENCIA BASE (Logarítmica Musical) ---
+    // cutoff 0-100 -> Hz (también la usa el LFO para barrer el filtro durante la nota)
+    static baseFreq(cutoff) {
+        const t = cutoff / 100;
+        return 60 + (t * t * 9000);
+    }
+
+    // --- RESONANCIA (Q Adaptativa) ---
+    static resonanceQ(resonance, accent, accentInt, baseFreq) {
+        let qVal = resonance; // 0-20 raw
+        if (accent) {
+            // La resonancia ahora responde a la intensidad del acento
+            // Si accentInt es bajo, el boost es sutil. Si es alto, "grita".
+            const boost = 5 + (qVal * 1.5 * (accentInt / 100));
+            qVal = Math.min(28, qVal + boost);
+        }
+        // Compensación de agudos
+        if (baseFreq > 5000) qVal *= 0.6;
+        return Math.min(30, qVal);
+    }
 }
 
 // --- 2. DISTORTION ENGINE (Classic + Tone Control) ---
@@ -119,23 +127,32 @@ class BassDistortion {
         }
     }
 
-    setTone(val) {
+    // time: opcional, fija el valor exacto en ese instante (p. ej. parameter locks)
+    setTone(val, time) {
         // Val 0-100
         // 0 = Dark (500Hz), 100 = Open (20kHz)
-        // Mapping logarítmico para que se sienta natural
-        const hz = 500 + (Math.pow(val / 100, 2) * 19500);
-        this.toneFilter.frequency.setTargetAtTime(hz, this.ctx.currentTime, 0.05);
+        const hz = BassDistortion.toneHz(val);
+        if (time !== undefined) this.toneFilter.frequency.setValueAtTime(hz, time);
+        else this.toneFilter.frequency.setTargetAtTime(hz, this.ctx.currentTime, 0.05);
     }
 
-    setPostGain(val) {
+    setPostGain(val, time) {
         // Val 0-100
         // Compensamos el volumen. Aprox 0.5x a 2.0x
         const gain = val / 50; 
-        this.postGain.gain.setTargetAtTime(gain, this.ctx.currentTime, 0.05);
+        if (time !== undefined) this.postGain.gain.setValueAtTime(gain, time);
+        else this.postGain.gain.setTargetAtTime(gain, this.ctx.currentTime, 0.05);
     }
 
+    // Mapping logarítmico para que se sienta natural
+    static toneHz(val) { return 500 + (Math.pow(val / 100, 2) * 19500); }
+
     _makeDistortionCurve(amount) {
-        const k = amount;
+        // Cache: las voces con parameter locks crean su propia cadena por nota.
+        // Clave entera: LFOs y automatización mandan valores continuos (mapa acotado, diferencia inaudible)
+        const k = Math.round(amount);
+        const cached = BassDistortion.curveCache.get(k);
+        if (cached) return cached;
         const n_samples = 44100;
         const curve = new Float32Array(n_samples);
         const deg = Math.PI / 180;
@@ -144,9 +161,55 @@ class BassDistortion {
             let x = i * 2 / n_samples - 1;
             curve[i] = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
         }
+        BassDistortion.curveCache.set(k, curve);
         return curve;
     }
 }
 
+BassDistortion.curveCache = new Map();
+
+// --- 3. SIDECHAIN DUCKER ---
+// Envolvente de ganancia programada sobre el nodo "duck" de un canal:
+// cada disparo de la fuente baja a (1 - depth) en 'attack' y vuelve a 1 en 'release'.
+// cfg: { source: canal de batería (-1 = off), depth 0-100, attack ms, release ms }
+class Ducker {
+    constructor(param) {
+        this.param = param;
+        this.env = null; // Última envolvente programada (para encadenar disparos solapados)
+    }
+
+    trigger(cfg, time) {
+        const floor = 1 - Math.max(0, Math.min(100, cfg.depth)) / 100;
+        const a = Math.max(0.001, cfg.attack / 1000);
+        const r = Math.max(0.01, cfg.release / 1000);
+        // Sin cancelAndHoldAtTime en todos los navegadores: calculamos el valor actual de la rampa
+        const from = this.valueAt(time);
+        this.param.cancelScheduledValues(time);
+        this.param.setValueAtTime(from, time);
+        this.param.linearRampToValueAtTime(floor, time + a);
+        this.param.linearRampToValueAtTime(1, time + a + r);
+        this.env = { time, from, floor, a, r };
+    }
+
+    valueAt(t) {
+        const e = this.env;
+        if (!e || t >= e.time + e.a + e.r) return 1;
+        if (t <= e.time) return e.from;
+        if (t < e.time + e.a) return e.from + (e.floor - e.from) * (t - e.time) / e.a;
+        return e.floor + (1 - e.floor) * (t - e.time - e.a) / e.r;
+    }
+
+    // Stop: descarta las envolventes pendientes
+    reset(now) {
+        this.env = null;
+        this.param.cancelScheduledValues(now);
+        this.param.setTargetAtTime(1, now, 0.01);
+    }
+}
+
+// Rangos del editor (mixer) y de los proyectos cargados: [min, max]
+Ducker.LIMITS = { source: [-1, 8], depth: [0, 100], attack: [0, 200], release: [10, 1000] };
+
 window.BassFilter = BassFilter;
-window.BassDistortion = BassDistortion;
\ No newline at end of file
+window.BassDistortion = BassDistortion;
+window.Ducker = Ducker;
\ No newline at end of file
@@ -0,0 +1,163 @@
+/*
+ * HISTORY MANAGER MODULE (Undo / Redo)
+ * Snapshot based history for TimeMatrix data (blocks + song), BassSynth params, Drum config, Send FX and Master Bus.
+ * Edits call record() BEFORE mutating; consecutive records sharing a
+ * coalesce key (e.g. a slider drag) collapse into a single entry.
+ * Edits that can fail take capture() first and push() it once they succeed.
+ */
+
+class HistoryManager {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = [];
+
+        // Coalescing State
+        this.coalesceWindow = 1500; // ms between events of the same gesture
+        this.lastKey = null;
+        this.lastTime = 0;
+    }
+
+    // --- SNAPSHOTS ---
+
+    capture() {
+        const state = {
+            bpm: window.AppState.bpm,
+            groove: { swing: window.AppState.swing, swingBass: window.AppState.swingBass, swingDrums: window.AppState.swingDrums },
+            renderSeed: window.AppState.renderSeed,
+            blocks: window.timeMatrix ? JSON.parse(JSON.stringify(window.timeMatrix.blocks)) : [],
+            song: window.timeMatrix ? JSON.parse(JSON.stringify(window.timeMatrix.song)) : null,
+            synths: [],
+            drums: null,
+            sendFx: null,
+            masterBus: null
+        };
+
+        if (window.audioEngine) {
+            state.synths = window.audioEngine.bassSynths.map(s => ({ id: s.id, params: JSON.parse(JSON.stringify(s.params)) }));
+            state.sendFx = JSON.parse(JSON.stringify(window.audioEngine.sendFx.settings));
+            state.masterBus = JSON.parse(JSON.stringify(window.audioEngine.masterBus.settings));
+        }
+
+        if (window.drumSynth) {
+            state.drums = {
+                masterVolume: window.drumSynth.masterVolume,
+                channels: window.drumSynth.channels.map(ch => ({ variant: ch.variant, volume: ch.volume, colorId: ch.colorId, sendDelay: ch.sendDelay, sendReverb: ch.sendReverb, pan: ch.pan, midiNote: ch.midiNote, sidechain: { ...ch.sidechain } }))
+            };
+        }
+        return state;
+    }
+
+    restore(state) {
+        const engine = window.audioEngine;
+
+        // 1. Synth Pool (before blocks: add/remove touches the tracks)
+        if (engine) {
+            const ids = state.synths.map(s => s.id);
+            for (let i = engine.bassSynths.length - 1; i >= 0; i--) {
+                if (!ids.includes(engine.bassSynths[i].id)) engine.removeSynth(engine.bassSynths[i].id);
+            }
+            state.synths.forEach(snap => {
+                const synth = engine.getSynth(snap.id) || engine.addBassSynth(snap.id);
+                if (synth) synth.applyParams(snap.params);
+            });
+            // Keep the original synth ordering
+            engine.bassSynths.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+            if (state.sendFx) engine.sendFx.applySettings(state.sendFx);
+            if (state.masterBus) engine.masterBus.applySettings(state.masterBus);
+        }
+
+        // 2. Pattern Data
+        if (window.timeMatrix) {
+            window.timeMatrix.blocks = JSON.parse(JSON.stringify(state.blocks));
+            if (state.song) window.timeMatrix.song = JSON.parse(JSON.stringify(state.song));
+        }
+
+        // 3. Drum Config
+        if (window.drumSynth && state.drums) {
+            window.drumSynth.setMasterVolume(state.drums.masterVolume);
+            state.drums.channels.forEach((snap, id) => {
+                window.drumSynth.setChannelVariant(id, snap.variant);
+                window.drumSynth.setChannelVolume(id, snap.volume);
+                window.drumSynth.setChannelSend(id, 'sendDelay', snap.sendDelay || 0);
+                window.drumSynth.setChannelSend(id, 'sendReverb', snap.sendReverb || 0);
+                window.drumSynth.setChannelPan(id, snap.pan || 0);
+                if (snap.midiNote !== undefined) window.drumSynth.setChannelMidiNote(id, snap.midiNote);
+                if (snap.sidechain) window.drumSynth.channels[id].sidechain = { ...snap.sidechain };
+                window.drumSynth.channels[id].colorId = snap.colorId;
+            });
+        }
+
+        // 4. Tempo, Groove & Render Seed
+        window.AppState.bpm = state.bpm;
+        const bpmInput = document.getElementById('bpm-input');
+        if (bpmInput) bpmInput.value = state.bpm;
+        Object.assign(window.AppState, state.groove);
+        if (state.renderSeed !== undefined) window.AppState.renderSeed = state.renderSeed;
+    }
+
+    // --- STACK OPERATIONS ---
+
+    record(label, coalesceKey = null) {
+        const now = Date.now();
+        if (coalesceKey && coalesceKey === this.lastKey && (now - this.lastTime) < this.coalesceWindow) {
+            this.lastTime = now;
+            this.notify();
+            return;
+        }
+
+        this.push(label, this.capture(), coalesceKey);
+        this.lastTime = now;
+    }
+
+    // Adds an entry captured earlier: edits that may fail snapshot first and push only on success
+    push(label, state, coalesceKey = null) {
+        this.undoStack.push({ label, state });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+
+        this.lastKey = coalesceKey;
+        this.notify();
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push({ label: entry.label, state: this.capture() });
+        this.restore(entry.state);
+        this.lastKey = null;
+        this.notify();
+        return entry.label;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push({ label: entry.label, state: this.capture() });
+        this.restore(entry.state);
+        this.lastKey = null;
+        this.notify();
+        return entry.label;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null;
+        this.notify();
+    }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    // --- LISTENERS ---
+
+    subscribe(fn) { this.listeners.push(fn); }
+    notify() { this.listeners.forEach(fn => fn(this)); }
+}
+
+window.HistoryManager = HistoryManager;
+
+// Instance for the Editor Session
+window.historyManager = new HistoryManager();
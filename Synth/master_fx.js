@@ -0,0 +1,182 @@
+/*
+ * MASTER BUS MODULE (EQ + Compressor + Limiter)
+ * One definition of the master chain, built by both the live engine and renderAudio:
+ *   input -> Low Shelf -> Mid Peak -> High Shelf -> Compressor -> Makeup
+ *         -> Limiter (fast compressor + ceiling clip) -> Output Gain -> destination
+ */
+
+class MasterBus {
+    constructor(settings = null) {
+        this.ctx = null;
+        this.input = null;
+        this.settings = JSON.parse(JSON.stringify(MasterBus.PRESETS.DEFAULT));
+        if (settings) this.applySettings(settings);
+    }
+
+    init(audioContext, destination) {
+        this.ctx = audioContext;
+        const ctx = this.ctx;
+
+        // --- 1. EQ ---
+        this.input = ctx.createGain();
+        this.low = ctx.createBiquadFilter();
+        this.low.type = 'lowshelf';
+        this.low.frequency.value = 120;
+        this.mid = ctx.createBiquadFilter();
+        this.mid.type = 'peaking';
+        this.mid.Q.value = 0.8;
+        this.high = ctx.createBiquadFilter();
+        this.high.type = 'highshelf';
+        this.high.frequency.value = 8000;
+
+        // --- 2. COMPRESSOR ---
+        this.compressor = ctx.createDynamicsCompressor();
+        this.makeup = ctx.createGain();
+
+        // --- 3. LIMITER ---
+        // Web Audio has no lookahead limiter: a fast compressor catches the peaks,
+        // the shaper clips whatever still overshoots the ceiling
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.1;
+        this.clipper = ctx.createWaveShaper();
+
+        // --- 4. OUTPUT ---
+        this.output = ctx.createGain();
+
+        this.input.connect(this.low);
+        this.low.connect(this.mid);
+        this.mid.connect(this.high);
+        this.high.connect(this.compressor);
+        this.compressor.connect(this.makeup);
+        this.makeup.connect(this.limiter);
+        this.limiter.connect(this.clipper);
+        this.clipper.connect(this.output);
+        this.output.connect(destination);
+
+        // Instant: an offline render must not start with parameters still gliding
+        this.update(true);
+    }
+
+    // --- SETTINGS ---
+    applySettings(settings) {
+        const s = this.settings;
+        this.settings = {
+            eq: { ...s.eq, ...(settings.eq || {}) },
+            comp: { ...s.comp, ...(settings.comp || {}) },
+            limiter: { ...s.limiter, ...(settings.limiter || {}) },
+            output: settings.output !== undefined ? settings.output : s.output
+        };
+        if (this.ctx) this.update(false);
+    }
+
+    // f: MasterBus.FIELDS entry. Clamps to its range; the limiter switch is stored as a boolean
+    setField(f, val) {
+        const [group, key, , min, max] = f;
+        let v = Math.max(min, Math.min(max, val));
+        if (key === 'enabled') v = v >= 1;
+        this.applySettings(group === 'output' ? { output: v } : { [group]: { [key]: v } });
+    }
+
+    update(instant) {
+        const { eq, comp, limiter, output } = this.settings;
+        const set = (param, val) => {
+            if (instant) param.value = val;
+            else param.setTargetAtTime(val, this.ctx.currentTime, 0.02);
+        };
+        set(this.low.gain, eq.low);
+        set(this.mid.gain, eq.mid);
+        set(this.mid.frequency, eq.midFreq);
+        set(this.high.gain, eq.high);
+
+        set(this.compressor.threshold, comp.threshold);
+        set(this.compressor.knee, comp.knee);
+        set(this.compressor.ratio, comp.ratio);
+        set(this.compressor.attack, comp.attack / 1000);
+        set(this.compressor.release, comp.release / 1000);
+        set(this.makeup.gain, MasterBus.dbToGain(comp.makeup));
+
+        // Disabled limiter: unity ratio and no clip curve
+        set(this.limiter.threshold, limiter.enabled ? limiter.ceiling : 0);
+        set(this.limiter.ratio, limiter.enabled ? 20 : 1);
+        this.clipper.curve = limiter.enabled ? MasterBus.clipCurve(limiter.ceiling) : null;
+
+        set(this.output.gain, MasterBus.dbToGain(output));
+    }
+
+    static dbToGain(db) { return Math.pow(10, db / 20); }
+
+    static clipCurve(ceilingDb) {
+        const key = ceilingDb.toFixed(1);
+        if (MasterBus.curveCache.has(key)) return MasterBus.curveCache.get(key);
+        const c = MasterBus.dbToGain(ceilingDb);
+        const n = 4096;
+        const curve = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = i * 2 / (n - 1) - 1;
+            curve[i] = Math.max(-c, Math.min(c, x));
+        }
+        MasterBus.curveCache.set(key, curve);
+        return curve;
+    }
+
+    // 'group.key' ('output' has no key): CSV cell names and history keys
+    static fieldName(f) { return f[1] ? `${f[0]}.${f[1]}` : f[0]; }
+
+    // Numeric value of a MasterBus.FIELDS entry (limiter switch as 0/1)
+    static fieldValue(settings, f) {
+        const v = f[0] === 'output' ? settings.output : settings[f[0]][f[1]];
+        return typeof v === 'boolean' ? (v ? 1 : 0) : v;
+    }
+}
+
+MasterBus.curveCache = new Map();
+
+// DEFAULT reproduces the original fixed compressor (threshold -3, ratio 12, knee 30)
+MasterBus.PRESETS = {
+    DEFAULT: {
+        eq: { low: 0, mid: 0, midFreq: 1000, high: 0 },
+        comp: { threshold: -3, knee: 30, ratio: 12, attack: 3, release: 250, makeup: 0 },
+        limiter: { enabled: false, ceiling: -0.3 },
+        output: 0
+    },
+    GLUE: {
+        eq: { low: 1, mid: 0, midFreq: 1000, high: 1 },
+        comp: { threshold: -12, knee: 6, ratio: 2, attack: 30, release: 200, makeup: 3 },
+        limiter: { enabled: true, ceiling: -0.3 },
+        output: 0
+    },
+    LOUD: {
+        eq: { low: 3, mid: -2, midFreq: 400, high: 2 },
+        comp: { threshold: -18, knee: 10, ratio: 4, attack: 10, release: 120, makeup: 8 },
+        limiter: { enabled: true, ceiling: -0.1 },
+        output: 0
+    },
+    CLEAN: {
+        eq: { low: 0, mid: 0, midFreq: 1000, high: 0 },
+        comp: { threshold: 0, knee: 0, ratio: 1, attack: 3, release: 250, makeup: 0 },
+        limiter: { enabled: true, ceiling: -1 },
+        output: 0
+    }
+};
+
+// Flat list for the menu and the CSV row: group, key, label, min, max, step
+MasterBus.FIELDS = [
+    ['eq', 'low', 'EQ LOW (dB)', -12, 12, 0.5],
+    ['eq', 'mid', 'EQ MID (dB)', -12, 12, 0.5],
+    ['eq', 'midFreq', 'EQ MID FREQ (Hz)', 200, 5000, 10],
+    ['eq', 'high', 'EQ HIGH (dB)', -12, 12, 0.5],
+    ['comp', 'threshold', 'COMP THRESHOLD (dB)', -60, 0, 1],
+    ['comp', 'ratio', 'COMP RATIO', 1, 20, 0.5],
+    ['comp', 'knee', 'COMP KNEE (dB)', 0, 40, 1],
+    ['comp', 'attack', 'COMP ATTACK (ms)', 0, 1000, 1],
+    ['comp', 'release', 'COMP RELEASE (ms)', 10, 1000, 10],
+    ['comp', 'makeup', 'COMP MAKEUP (dB)', 0, 24, 0.5],
+    ['limiter', 'enabled', 'LIMITER (0/1)', 0, 1, 1],
+    ['limiter', 'ceiling', 'LIMITER CEILING (dB)', -12, 0, 0.1],
+    ['output', null, 'OUTPUT GAIN (dB)', -24, 12, 0.5]
+];
+
+window.MasterBus = MasterBus;
@@ -0,0 +1,150 @@
+/*
+ * MIDI CLOCK MODULE (Sync Out / Sync In)
+ * INTERNAL sync: we are the master. AudioEngine.scheduleNote hands every step to
+ *   scheduleStep() inside the scheduler lookahead, which timestamps 6 clocks per 16th
+ *   (24 PPQN) on the chosen output. Start / Continue + Song Position Pointer / Stop follow the transport.
+ * EXTERNAL sync: incoming clock drives playback. Every 6th pulse plays one step
+ *   (AudioEngine.clockStep) and the pulse spacing gives the tempo shown in the BPM field.
+ * Ports come from MidiInput's Web MIDI access; settings live in localStorage.
+ */
+
+class MidiClock {
+    constructor() {
+        this.settings = MidiClock.loadSettings();
+        this.pulse = 0; // Clocks received since Start / Continue
+        this.position = 0; // Last Song Position Pointer (16th steps)
+        this.lastClock = null; // Timestamp (ms) of the previous incoming clock
+        this.intervals = []; // Recent clock spacings (ms) for the tempo estimate
+        this.bpm = null; // External tempo estimate
+        this.sinceDisplay = 0; // Clocks since the BPM field was refreshed
+    }
+
+    isExternal() { return this.settings.sync === 'external'; }
+
+    // --- SETTINGS ---
+    static loadSettings() {
+        const defaults = { outputId: '', sync: 'internal' };
+        try {
+            return { ...defaults, ...JSON.parse(window.localStorage.getItem(MidiClock.STORAGE_KEY) || '{}') };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    setSetting(key, val) {
+        this.settings[key] = val;
+        try { window.localStorage.setItem(MidiClock.STORAGE_KEY, JSON.stringify(this.settings)); }
+        catch (e) { /* Private mode: settings last for this session only */ }
+        this.resetEstimate();
+    }
+
+    getOutputs() { return window.midiInput ? window.midiInput.getOutputs() : []; }
+
+    getOutput() {
+        if (!this.settings.outputId) return null;
+        return this.getOutputs().find(o => o.id === this.settings.outputId) || null;
+    }
+
+    // --- OUTPUT (INTERNAL SYNC) ---
+    // AudioContext time -> Web MIDI timestamp (performance.now() domain)
+    toMidiTime(ctx, time) { return Math.max(0, performance.now() + (time - ctx.currentTime) * 1000); }
+
+    // 6 clocks per step, spread over the step's real length (follows ramps and block tempos)
+    scheduleStep(ctx, time, secPerStep) {
+        const out = this.isExternal() ? null : this.getOutput();
+        if (!out) return;
+        for (let i = 0; i < MidiClock.PULSES_PER_STEP; i++) {
+            out.send([0xF8], this.toMidiTime(ctx, time + i * secPerStep / MidiClock.PULSES_PER_STEP));
+        }
+    }
+
+    // position: song position of the first step in 16ths. 0 = Start, otherwise SPP + Continue
+    transportStart(ctx, time, position) {
+        const out = this.isExternal() ? null : this.getOutput();
+        if (!out) return;
+        const at = this.toMidiTime(ctx, time);
+        if (position === 0) { out.send([0xFA], at); return; }
+        const spp = Math.min(0x3FFF, position);
+        out.send([0xF2, spp & 0x7F, (spp >> 7) & 0x7F], at);
+        out.send([0xFB], at);
+    }
+
+    transportStop() {
+        const out = this.isExternal() ? null : this.getOutput();
+        if (out) out.send([0xFC]);
+    }
+
+    // --- INPUT (EXTERNAL SYNC) ---
+    // System messages routed by MidiInput. timeStamp: event time in ms (performance.now() domain)
+    handleMessage(data, timeStamp) {
+        if (!this.isExternal()) return;
+        const engine = window.audioEngine;
+        const ui = window.uiController;
+        const status = data[0];
+
+        if (status === 0xF8) {
+            this.estimateTempo(timeStamp);
+            if (!window.AppState.isPlaying) return;
+            if (this.pulse % MidiClock.PULSES_PER_STEP === 0) {
+                // Clocks arrive in real time: the step lands a fixed latency after the clock's own
+                // timestamp (negative offset = handler delay), so event-loop jitter does not reach the grid
+                const offset = (timeStamp - performance.now()) / 1000;
+                engine.clockStep(engine.ctx.currentTime + offset + MidiClock.SLAVE_LATENCY);
+            }
+            this.pulse++;
+        } else if (status === 0xF2) {
+            this.position = data[1] | (data[2] << 7);
+        } else if (status === 0xFA || status === 0xFB) {
+            // Start: from the top. Continue: from the last Song Position Pointer
+            if (status === 0xFA) this.position = 0;
+            this.pulse = 0;
+            if (window.AppState.isPlaying) engine.stopPlayback();
+            engine.startPlayback(this.position);
+            if (ui) ui.syncTransport(true);
+        } else if (status === 0xFC) {
+            if (!window.AppState.isPlaying) return;
+            engine.stopPlayback();
+            if (ui) ui.syncTransport(false);
+        }
+    }
+
+    // Moving average over the last beat of pulses; playback follows it, the BPM field shows it
+    estimateTempo(timeStamp) {
+        const last = this.lastClock;
+        this.lastClock = timeStamp;
+        if (last === null) return;
+        const gap = timeStamp - last;
+        if (gap <= 0 || gap > MidiClock.CLOCK_TIMEOUT) { this.intervals = []; return; }
+        this.intervals.push(gap);
+        if (this.intervals.length > MidiClock.PPQN) this.intervals.shift();
+        const avg = this.intervals.reduce((a, b) => a + b, 0) / this.intervals.length;
+        this.bpm = Math.round(600000 / (avg * MidiClock.PPQN)) / 10;
+        if (window.AppState.isPlaying) window.audioEngine.externalBpm = this.bpm;
+
+        // Once per beat: typing in the field is not overwritten
+        if (++this.sinceDisplay >= MidiClock.PPQN) {
+            this.sinceDisplay = 0;
+            const bpmInput = document.getElementById('bpm-input');
+            if (bpmInput && document.activeElement !== bpmInput) bpmInput.value = Math.round(this.bpm);
+        }
+    }
+
+    resetEstimate() {
+        this.lastClock = null;
+        this.intervals = [];
+        this.bpm = null;
+        const bpmInput = document.getElementById('bpm-input');
+        if (bpmInput) bpmInput.value = window.AppState.bpm;
+    }
+}
+
+MidiClock.PPQN = 24;
+MidiClock.PULSES_PER_STEP = MidiClock.PPQN / 4;
+MidiClock.SLAVE_LATENCY = 0.03; // s between an incoming clock and its step
+MidiClock.CLOCK_TIMEOUT = 500; // ms without clock = tempo estimate restarts
+MidiClock.STORAGE_KEY = 'nd23-midi-clock';
+
+window.MidiClock = MidiClock;
+
+// Instance for the Editor Session
+window.midiClock = new MidiClock();
@@ -0,0 +1,123 @@
+/*
+ * MIDI INPUT MODULE (Web MIDI Keyboard / Pads)
+ * Routes incoming notes to the editor:
+ *   - bass view: preview through AudioEngine.previewNote, STEP ENTRY writes the selected step
+ *   - drum view or MIDI channel 10: drum channels through the input note map
+ *   - control changes: MidiLearn bindings
+ * Device choice and mapping live in localStorage (they belong to the machine, not the song).
+ * Browsers without navigator.requestMIDIAccess simply report the feature as unavailable.
+ */
+
+class MidiInput {
+    constructor() {
+        this.access = null;
+        this.available = false;
+        this.held = new Set(); // Keys currently down (legato detection)
+        this.listeners = [];
+        this.settings = MidiInput.loadSettings();
+    }
+
+    // Resolves true when Web MIDI is up. Never rejects: no MIDI just means no MIDI
+    init() {
+        if (!navigator.requestMIDIAccess) {
+            if (window.logToScreen) window.logToScreen("MIDI: Web MIDI not supported by this browser", 'warn');
+            return Promise.resolve(false);
+        }
+        return navigator.requestMIDIAccess().then(access => {
+            this.access = access;
+            this.available = true;
+            access.onstatechange = () => { this.connect(); this.notify(); };
+            this.connect();
+            this.notify();
+            return true;
+        }).catch(e => {
+            if (window.logToScreen) window.logToScreen(`MIDI: Access denied (${e && e.message ? e.message : e})`, 'warn');
+            return false;
+        });
+    }
+
+    getInputs() { return this.access ? Array.from(this.access.inputs.values()) : []; }
+    getOutputs() { return this.access ? Array.from(this.access.outputs.values()) : []; }
+
+    // deviceId: '' = off, 'all' = every input, otherwise one port id
+    connect() {
+        const id = this.settings.deviceId;
+        this.getInputs().forEach(input => {
+            input.onmidimessage = (id === 'all' || id === input.id) ? (e) => this.handleMessage(e.data, e.timeStamp) : null;
+        });
+        this.held.clear();
+    }
+
+    // --- SETTINGS ---
+    static loadSettings() {
+        const defaults = {
+            deviceId: 'all',
+            stepEntry: false,
+            accentVelocity: 100,
+            drumNotes: Object.values(window.DrumSynth.GM_NOTES) // GM_NOTES lists the types in channel order
+        };
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(MidiInput.STORAGE_KEY) || '{}');
+            return { ...defaults, ...saved };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    setSetting(key, val) {
+        this.settings[key] = val;
+        try { window.localStorage.setItem(MidiInput.STORAGE_KEY, JSON.stringify(this.settings)); }
+        catch (e) { /* Private mode: settings last for this session only */ }
+        if (key === 'deviceId') this.connect();
+    }
+
+    setDrumNote(channelId, note) {
+        if (isNaN(note)) return;
+        const notes = [...this.settings.drumNotes];
+        notes[channelId] = Math.max(0, Math.min(127, note));
+        this.setSetting('drumNotes', notes);
+    }
+
+    // --- MESSAGES ---
+    // timeStamp: event time in ms (performance.now() domain)
+    handleMessage(data, timeStamp = performance.now()) {
+        // Clock, transport and song position belong to MidiClock
+        if (data[0] === 0xF2 || data[0] >= 0xF8) {
+            if (window.midiClock) window.midiClock.handleMessage(data, timeStamp);
+            return;
+        }
+        const type = data[0] & 0xF0, channel = data[0] & 0x0F;
+        if (type === 0x90 && data[2] > 0) this.noteOn(channel, data[1], data[2]);
+        else if (type === 0x80 || type === 0x90) this.noteOff(data[1]);
+        else if (type === 0xB0 && window.midiLearn) window.midiLearn.handleCC(channel, data[1], data[2]);
+    }
+
+    noteOn(channel, pitch, vel) {
+        const ui = window.uiController;
+        const legato = this.held.size > 0;
+        this.held.add(pitch);
+        if (!ui) return;
+        if (channel === 9 || window.AppState.activeView === 'drum') {
+            const id = this.settings.drumNotes.indexOf(pitch);
+            if (id > -1) ui.midiDrumHit(id, vel);
+        } else {
+            ui.midiNote(pitch, vel, legato);
+        }
+    }
+
+    noteOff(pitch) {
+        this.held.delete(pitch);
+        if (this.held.size === 0 && window.uiController) window.uiController.midiRelease();
+    }
+
+    // --- LISTENERS ---
+    subscribe(fn) { this.listeners.push(fn); }
+    notify() { this.listeners.forEach(fn => fn(this)); }
+}
+
+MidiInput.STORAGE_KEY = 'nd23-midi-input';
+
+window.MidiInput = MidiInput;
+
+// Instance for the Editor Session
+window.midiInput = new MidiInput();
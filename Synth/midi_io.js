@@ -0,0 +1,376 @@
+/*
+ * MIDI IO MODULE (Standard MIDI Files)
+ * Type 1 SMF export of the song for DAW work:
+ *   Track 0  -> conductor: name, 4/4, tempo map (song / block tempos, ramps per step)
+ *   Track N  -> one per BassSynth: accent = velocity, slide = legato overlap + portamento (CC 65)
+ *   Last     -> drums on channel 10, keys from each DrumSynth channel's midiNote
+ * Events follow the offline render: same block order, swing, gates and trig
+ * conditions (resolved with AppState.renderSeed, FILL off).
+ * Import reads Type 0/1 files and maps track / channel sources onto bass synths
+ * and drum channels, quantized to the 16th-step grid.
+ */
+
+class MidiIO {
+    // --- EXPORT ---
+    // loopOnly: transport loop instead of the whole song (see AudioEngine.getRenderOrder)
+    static exportSong(loopOnly = false) {
+        const engine = window.audioEngine;
+        const tm = window.timeMatrix;
+        const drum = window.drumSynth;
+        const T = MidiIO.TICKS_PER_STEP;
+        const order = engine.getRenderOrder(1, loopOnly);
+
+        const conductor = [MidiIO.meta(0, 0x03, MidiIO.text('NEURODARK23')), MidiIO.meta(0, 0x58, [4, 2, 24, 8])];
+        const drums = [MidiIO.meta(0, 0x03, MidiIO.text('DRUMS'))];
+        const bass = {};
+        engine.bassSynths.forEach((s, i) => {
+            bass[s.id] = { events: [MidiIO.meta(0, 0x03, MidiIO.text(s.id.toUpperCase()))], channel: MidiIO.bassChannel(i), held: null, porta: false };
+        });
+
+        const rng = window.TrigConditions.createRng(window.AppState.renderSeed);
+        const passes = {};
+        let lastBpm = null;
+        let tick = 0;
+
+        order.forEach((blockIdx, i) => {
+            const blk = tm.blocks[blockIdx];
+            const next = i + 1 < order.length ? order[i + 1] : null;
+            const len = tm.getBlockLength(blockIdx);
+            passes[blockIdx] = passes[blockIdx] === undefined ? 0 : passes[blockIdx] + 1;
+            const allowed = (cond) => window.TrigConditions.evaluate(cond, passes[blockIdx], rng, false);
+
+            for (let step = 0; step < len; step++) {
+                const at = tick + step * T;
+
+                // Tempo: one event per change (ramped blocks change every step)
+                const bpm = Math.round(engine.getStepBpm(blockIdx, step, next) * 100) / 100;
+                if (bpm !== lastBpm) { conductor.push(MidiIO.tempo(at, bpm)); lastBpm = bpm; }
+
+                // Same evaluation order as AudioEngine.playStep (drums, then bass tracks): same random draws
+                const hits = blk.drums[step];
+                if (hits && drum) {
+                    const drumAt = at + Math.round(engine.getSwingOffset(step, 'drum', T));
+                    hits.forEach(h => {
+                        if (!allowed(h.cond) || !drum.channels[h.id]) return;
+                        MidiIO.addNote(drums, 9, drum.channels[h.id].midiNote, h.vel, drumAt, T / 2);
+                    });
+                }
+
+                const bassAt = at + Math.round(engine.getSwingOffset(step, 'bass', T));
+                Object.keys(blk.tracks).forEach(tid => {
+                    const n = blk.tracks[tid][step];
+                    if (!n || !allowed(n.cond) || !bass[tid]) return;
+                    const pitch = (n.octave + 1) * 12 + tm.noteMap[n.note] - 1;
+                    const length = Math.max(1, Math.round(engine.getGateDuration(blk.tracks[tid], step, n, T)));
+                    MidiIO.addBassNote(bass[tid], pitch, n.accent ? MidiIO.VELOCITY.accent : MidiIO.VELOCITY.normal, bassAt, length, n.slide);
+                });
+            }
+            tick += len * T;
+        });
+
+        const tracks = [conductor];
+        Object.values(bass).forEach(t => {
+            MidiIO.flushBassNote(t);
+            if (t.porta) t.events.push(MidiIO.event(tick, 1, [0xB0 | t.channel, 65, 0]));
+            tracks.push(t.events);
+        });
+        tracks.push(drums);
+        return MidiIO.encode(tracks, tick);
+    }
+
+    // Bass notes are held back one note: a slide into the next note stretches
+    // the held one past its start (legato) and switches portamento on
+    static addBassNote(t, pitch, vel, at, length, slide) {
+        const held = t.held;
+        if (slide && held) {
+            if (!t.porta) { t.events.push(MidiIO.event(at, 1, [0xB0 | t.channel, 65, 127])); t.porta = true; }
+            // Same key: one long note (an overlap would cut the new note off)
+            if (held.pitch === pitch) { held.end = Math.max(held.end, at + length); return; }
+            held.end = Math.max(held.end, at + MidiIO.SLIDE_OVERLAP);
+        } else if (t.porta) {
+            t.events.push(MidiIO.event(at, 1, [0xB0 | t.channel, 65, 0]));
+            t.porta = false;
+        }
+        MidiIO.flushBassNote(t);
+        t.held = { pitch, vel, start: at, end: at + length };
+    }
+
+    static flushBassNote(t) {
+        if (!t.held) return;
+        const h = t.held;
+        t.events.push(MidiIO.event(h.start, 2, [0x90 | t.channel, h.pitch, h.vel]));
+        t.events.push(MidiIO.event(h.end, 0, [0x80 | t.channel, h.pitch, 0]));
+        t.held = null;
+    }
+
+    static addNote(events, channel, pitch, vel, at, length) {
+        events.push(MidiIO.event(at, 2, [0x90 | channel, pitch, Math.max(1, Math.min(127, vel))]));
+        events.push(MidiIO.event(at + length, 0, [0x80 | channel, pitch, 0]));
+    }
+
+    // --- IMPORT ---
+    // Reads SMF Type 0/1: notes per track (with channel), first tempo, track names
+    static parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let p = 0;
+        const str = (n) => { const s = String.fromCharCode(...bytes.subarray(p, p + n)); p += n; return s; };
+        const u32 = () => { const v = ((bytes[p] << 24) >>> 0) + (bytes[p + 1] << 16) + (bytes[p + 2] << 8) + bytes[p + 3]; p += 4; return v; };
+        const u16 = () => { const v = (bytes[p] << 8) + bytes[p + 1]; p += 2; return v; };
+        const varLen = () => { let v = 0, b; do { b = bytes[p++]; v = (v << 7) | (b & 0x7F); } while (b & 0x80 && p < bytes.length); return v; };
+
+        if (bytes.length < 14 || str(4) !== 'MThd') throw "Not a MIDI file";
+        const headerLen = u32();
+        const format = u16();
+        const count = u16();
+        const division = u16();
+        if (format > 1) throw "SMF Type 2 not supported";
+        if (division & 0x8000) throw "SMPTE time division not supported";
+        p = 8 + headerLen;
+
+        const tracks = [];
+        let bpm = null;
+        while (tracks.length < count && p + 8 <= bytes.length) {
+            const id = str(4);
+            const end = Math.min(bytes.length, u32() + p);
+            if (id !== 'MTrk') { p = end; continue; } // Unknown chunks are skipped
+
+            const track = { index: tracks.length, name: '', notes: [] };
+            const open = {}; // 'channel:pitch' -> sounding notes (oldest first)
+            let tick = 0, status = 0;
+            while (p < end) {
+                tick += varLen();
+                const b = bytes[p];
+                if (b === 0xFF) {
+                    const type = bytes[p + 1];
+                    p += 2;
+                    const len = varLen();
+                    const data = bytes.subarray(p, p + len);
+                    p += len;
+                    if (type === 0x03 && !track.name) track.name = String.fromCharCode(...data).trim();
+                    if (type === 0x51 && bpm === null && len === 3) bpm = 60000000 / ((data[0] << 16) | (data[1] << 8) | data[2]);
+                    continue;
+                }
+                if (b === 0xF0 || b === 0xF7) { p++; p += varLen(); continue; }
+                if (b & 0x80) { status = b; p++; } // Otherwise: running status
+                if (!status) throw "Corrupt track data";
+
+                const type = status & 0xF0, channel = status & 0x0F;
+                const d1 = bytes[p++];
+                const d2 = (type === 0xC0 || type === 0xD0) ? 0 : bytes[p++];
+                const key = `${channel}:${d1}`;
+                if (type === 0x90 && d2 > 0) {
+                    (open[key] = open[key] || []).push({ channel, pitch: d1, vel: d2, start: tick, end: null });
+                } else if ((type === 0x80 || type === 0x90) && open[key] && open[key].length) {
+                    const n = open[key].shift();
+                    n.end = tick;
+                    track.notes.push(n);
+                }
+            }
+            // Notes never released end with the track
+            Object.values(open).forEach(list => list.forEach(n => { n.end = tick; track.notes.push(n); }));
+            track.notes.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+            tracks.push(track);
+            p = end;
+        }
+        return { format, ppq: division, bpm, tracks };
+    }
+
+    // One source per track + channel pair that holds notes (Type 0 files split by channel)
+    static getSources(smf) {
+        const sources = [];
+        smf.tracks.forEach(t => {
+            const channels = [...new Set(t.notes.map(n => n.channel))].sort((a, b) => a - b);
+            channels.forEach(ch => {
+                sources.push({ key: `${t.index}:${ch}`, track: t.index, channel: ch, name: t.name, drum: ch === 9, notes: t.notes.filter(n => n.channel === ch) });
+            });
+        });
+        return sources;
+    }
+
+    // mapping: source key -> target ('bass:<synthId>' | 'drums' (channel midiNote map) | 'drums:<channelId>'; missing = skip)
+    // opts: startBlock (first block written), accentVelocity (velocity >= value = accent), useTempo
+    // Targets are cleared over the imported range; blocks are appended as needed, up to TimeMatrix.MAX_BLOCKS. Returns a summary.
+    static importSong(smf, mapping, opts = {}) {
+        const tm = window.timeMatrix;
+        const engine = window.audioEngine;
+        const drum = window.drumSynth;
+        const stepTicks = smf.ppq / 4;
+        const startBlock = Math.max(0, Math.min(tm.blocks.length - 1, opts.startBlock || 0));
+        const accentVel = opts.accentVelocity || 110;
+        const sources = MidiIO.getSources(smf).filter(src => mapping[src.key]);
+        const summary = { notes: 0, hits: 0, dropped: 0, truncated: 0, blocks: 0, synths: [] };
+
+        // Quantized song position -> block / step, appending default-length blocks past the end.
+        // null past TimeMatrix.MAX_BLOCKS: those notes are counted in summary.truncated
+        const locate = (globalStep) => {
+            let b = startBlock, s = globalStep;
+            while (true) {
+                if (b >= window.TimeMatrix.MAX_BLOCKS) return null;
+                if (b >= tm.blocks.length) { tm.addBlock(); summary.blocks++; }
+                const len = tm.getBlockLength(b);
+                if (s < len) return { blk: tm.blocks[b], step: s };
+                s -= len;
+                b++;
+            }
+        };
+
+        // 1. Synths: missing targets are registered like the ADD BASS button does
+        sources.forEach(src => {
+            const target = mapping[src.key];
+            if (!target.startsWith('bass:') || engine.getSynth(target.slice(5))) return;
+            engine.addBassSynth(target.slice(5));
+            summary.synths.push(target.slice(5));
+        });
+
+        // 2. Clear the mapped targets over the imported range
+        let lastStep = 0;
+        sources.forEach(src => src.notes.forEach(n => { lastStep = Math.max(lastStep, Math.round(n.start / stepTicks)); }));
+        locate(lastStep);
+        const clearDrums = new Set();
+        sources.forEach(src => {
+            const target = mapping[src.key];
+            if (target === 'drums') drum.channels.forEach(ch => clearDrums.add(ch.id));
+            else if (target.startsWith('drums:')) clearDrums.add(parseInt(target.slice(6)));
+        });
+        for (let g = 0; g <= lastStep; g++) {
+            const pos = locate(g);
+            if (!pos) break;
+            const { blk, step } = pos;
+            sources.forEach(src => { const t = mapping[src.key]; if (t.startsWith('bass:')) blk.tracks[t.slice(5)][step] = null; });
+            blk.drums[step] = blk.drums[step].filter(h => !clearDrums.has(h.id));
+        }
+
+        // 3. Write
+        sources.forEach(src => {
+            const target = mapping[src.key];
+            if (target.startsWith('bass:')) {
+                MidiIO.importBassLine(src.notes, target.slice(5), stepTicks, accentVel, locate, summary);
+                return;
+            }
+            const fixed = target.startsWith('drums:') ? parseInt(target.slice(6)) : null;
+            src.notes.forEach(n => {
+                const ch = fixed !== null ? drum.channels[fixed] : drum.channels.find(c => c.midiNote === n.pitch);
+                if (!ch) { summary.dropped++; return; }
+                const pos = locate(Math.round(n.start / stepTicks));
+                if (!pos) { summary.truncated++; return; }
+                const { blk, step } = pos;
+                const hit = blk.drums[step].find(h => h.id === ch.id);
+                if (hit) hit.vel = Math.max(hit.vel, n.vel);
+                else { blk.drums[step].push({ id: ch.id, vel: n.vel }); summary.hits++; }
+            });
+        });
+
+        if (opts.useTempo && smf.bpm) {
+            window.AppState.bpm = tm.clampBpm(Math.round(smf.bpm));
+            const bpmInput = document.getElementById('bpm-input');
+            if (bpmInput) bpmInput.value = window.AppState.bpm;
+        }
+        return summary;
+    }
+
+    // Monophonic: one note per step (highest wins). A note starting while the
+    // previous one still sounds is a slide; long notes become ties.
+    static importBassLine(notes, synthId, stepTicks, accentVel, locate, summary) {
+        const byStep = new Map();
+        notes.forEach(n => {
+            const g = Math.round(n.start / stepTicks);
+            const other = byStep.get(g);
+            if (other) summary.dropped++;
+            if (!other || n.pitch > other.pitch) byStep.set(g, n);
+        });
+
+        let prev = null;
+        [...byStep.keys()].sort((a, b) => a - b).forEach(g => {
+            const n = byStep.get(g);
+            const pos = locate(g);
+            if (!pos) { summary.truncated++; return; }
+            const { blk, step } = pos;
+            const slide = !!(prev && prev.end > n.start);
+            const steps = (n.end - n.start) / stepTicks;
+            let gate = 'tie';
+            if (slide || (steps >= 0.375 && steps < 0.7)) gate = 'normal';
+            else if (steps < 0.375) gate = 'short';
+            else if (steps < 1.5) gate = 'long';
+            blk.tracks[synthId][step] = {
+                note: window.timeMatrix.noteMapRev[(n.pitch % 12) + 1],
+                octave: Math.max(1, Math.min(6, Math.floor(n.pitch / 12) - 1)),
+                slide, accent: n.vel >= accentVel, gate, cond: ''
+            };
+            summary.notes++;
+            prev = n;
+        });
+    }
+
+    // Blocks the file needs from startBlock (existing lengths, then default-length blocks).
+    // Stops counting at TimeMatrix.MAX_BLOCKS: the import modal warns when the file does not fit
+    static blocksNeeded(smf, startBlock) {
+        const tm = window.timeMatrix;
+        const stepTicks = smf.ppq / 4;
+        let s = 0;
+        MidiIO.getSources(smf).forEach(src => src.notes.forEach(n => { s = Math.max(s, Math.round(n.start / stepTicks)); }));
+        let b = startBlock;
+        while (b < window.TimeMatrix.MAX_BLOCKS) {
+            const len = tm.getBlockLength(b);
+            if (s < len) break;
+            s -= len;
+            b++;
+        }
+        return b - startBlock + 1;
+    }
+
+    // Channels 1-9 then 11-16 (10 is the GM drum channel)
+    static bassChannel(i) { return Math.min(15, i < 9 ? i : i + 1); }
+
+    // --- EVENTS ---
+    // order: same-tick priority (0 = note off, 1 = control / meta, 2 = note on)
+    static event(tick, order, bytes) { return { tick, order, bytes }; }
+    static meta(tick, type, data) { return MidiIO.event(tick, 1, [0xFF, type, ...MidiIO.varLen(data.length), ...data]); }
+    static text(str) { return Array.from(str, c => c.charCodeAt(0) & 0x7F); }
+
+    static tempo(tick, bpm) {
+        const us = Math.round(60000000 / bpm);
+        return MidiIO.meta(tick, 0x51, [(us >> 16) & 0xFF, (us >> 8) & 0xFF, us & 0xFF]);
+    }
+
+    // --- ENCODING ---
+    static varLen(n) {
+        const out = [n & 0x7F];
+        while ((n >>= 7) > 0) out.unshift((n & 0x7F) | 0x80);
+        return out;
+    }
+
+    // endTick: song length, every track ends there (DAWs size the clips from it)
+    static encode(tracks, endTick = 0) {
+        const bytes = [];
+        // Loop instead of push(...arr): a long track overflows the argument limit
+        const append = (out, arr) => { for (let i = 0; i < arr.length; i++) out.push(arr[i]); };
+        const u32 = (n) => [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+        const u16 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+
+        // MThd: format 1, track count, ticks per quarter note
+        bytes.push(0x4D, 0x54, 0x68, 0x64, ...u32(6), ...u16(1), ...u16(tracks.length), ...u16(MidiIO.PPQ));
+
+        tracks.forEach(events => {
+            const sorted = events.map((e, i) => ({ ...e, i }))
+                .sort((a, b) => a.tick - b.tick || a.order - b.order || a.i - b.i);
+            const data = [];
+            let last = 0;
+            sorted.forEach(e => {
+                append(data, MidiIO.varLen(e.tick - last));
+                append(data, e.bytes);
+                last = e.tick;
+            });
+            data.push(...MidiIO.varLen(Math.max(0, endTick - last)), 0xFF, 0x2F, 0x00); // End of Track
+            bytes.push(0x4D, 0x54, 0x72, 0x6B, ...u32(data.length));
+            append(bytes, data);
+        });
+        return new Uint8Array(bytes);
+    }
+}
+
+MidiIO.PPQ = 96; // Ticks per quarter note
+MidiIO.TICKS_PER_STEP = MidiIO.PPQ / 4; // 16th note steps
+MidiIO.SLIDE_OVERLAP = 4; // Ticks a slid-from note keeps sounding under the next one
+MidiIO.VELOCITY = { normal: 100, accent: 127 };
+
+window.MidiIO = MidiIO;
@@ -0,0 +1,201 @@
+/*
+ * MIDI LEARN MODULE (CC -> Parameter Bindings)
+ * LEARN mode: click a control (FX rack slider / digital module, drum volume), move a knob:
+ * that channel + CC now drives it. Targets use the automation lane keys:
+ *   '<synthId>:<param>' -> bass synth parameter (through UIController.handleParamChange)
+ *   'drums:<id>' / 'drums:master' -> drum volumes (through UIController.setDrumVolume)
+ * Bindings belong to the project (ProjectIO 'midiMap'); the feedback output belongs to the machine.
+ * Feedback: learned values are sent back out as CCs whenever they change (motor faders, LED rings).
+ */
+
+class MidiLearn {
+    constructor() {
+        this.bindings = []; // { channel 0-15, cc 0-127, target }
+        this.armed = false;
+        this.pending = null; // Target waiting for a CC
+        this.sent = {}; // Last CC value per binding (received or sent), avoids echoes
+        this.feedbackTimer = null;
+        this.listeners = [];
+        this.settings = MidiLearn.loadSettings();
+    }
+
+    // --- SETTINGS (MACHINE) ---
+    static loadSettings() {
+        const defaults = { outputId: '' };
+        try {
+            return { ...defaults, ...JSON.parse(window.localStorage.getItem(MidiLearn.STORAGE_KEY) || '{}') };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    setSetting(key, val) {
+        this.settings[key] = val;
+        try { window.localStorage.setItem(MidiLearn.STORAGE_KEY, JSON.stringify(this.settings)); }
+        catch (e) { /* Private mode: settings last for this session only */ }
+        this.sent = {};
+        this.sendFeedback();
+    }
+
+    getOutput() {
+        if (!this.settings.outputId || !window.midiInput) return null;
+        return window.midiInput.getOutputs().find(o => o.id === this.settings.outputId) || null;
+    }
+
+    // --- BINDINGS (PROJECT) ---
+    setBindings(list) {
+        this.bindings = (list || []).map(b => ({ channel: b.channel, cc: b.cc, target: b.target }));
+        this.sent = {};
+        this.notify();
+        this.sendFeedback();
+    }
+
+    // One CC per target and one target per CC: learning replaces both.
+    // The knob move that taught the binding applies right away (and is not echoed back)
+    bind(channel, cc, target, value) {
+        this.bindings = this.bindings.filter(b => b.target !== target && !(b.channel === channel && b.cc === cc));
+        this.bindings.push({ channel, cc, target });
+        this.apply(target, value);
+        this.sent[`${channel}:${cc}`] = this.getValue(target);
+        this.changed();
+        if (window.logToScreen) window.logToScreen(`MIDI LEARN: CH${channel + 1} CC${cc} -> ${MidiLearn.describe(target)}`);
+    }
+
+    // Edits one field of a binding (mapping list)
+    update(index, key, val) {
+        const b = this.bindings[index];
+        if (!b || isNaN(val)) return;
+        b[key] = Math.max(0, Math.min(key === 'channel' ? 15 : 127, val));
+        delete this.sent[`${b.channel}:${b.cc}`];
+        // The edited CC takes over from any other binding on it
+        this.bindings = this.bindings.filter(o => o === b || !(o.channel === b.channel && o.cc === b.cc));
+        this.changed();
+    }
+
+    remove(index) {
+        this.bindings.splice(index, 1);
+        this.changed();
+    }
+
+    clear() {
+        this.bindings = [];
+        this.changed();
+    }
+
+    changed() {
+        this.notify();
+        this.sendFeedback();
+        if (window.projectStore) window.projectStore.scheduleAutosave();
+    }
+
+    // --- LEARN MODE ---
+    arm(on) {
+        this.armed = on;
+        this.pending = null;
+        this.notify();
+    }
+
+    // Control clicked while armed
+    select(target) {
+        this.pending = target;
+        this.notify();
+    }
+
+    // --- INPUT ---
+    handleCC(channel, cc, value) {
+        if (this.armed && this.pending) {
+            const target = this.pending;
+            this.pending = null;
+            this.bind(channel, cc, target, value);
+            return;
+        }
+        this.bindings.forEach(b => {
+            if (b.channel !== channel || b.cc !== cc) return;
+            this.apply(b.target, value);
+            this.sent[`${b.channel}:${b.cc}`] = this.getValue(b.target); // The knob already shows it
+        });
+    }
+
+    // CC 0-127 -> parameter range (same 0-100 scale as the digital controls)
+    apply(target, value) {
+        const ui = window.uiController;
+        if (!ui) return;
+        const pct = Math.round(value / 127 * 100);
+        const [owner, param] = MidiLearn.split(target);
+        if (owner === 'drums') {
+            if (param === 'master' || window.drumSynth.channels[parseInt(param)]) ui.setDrumVolume(param, pct);
+            return;
+        }
+        if (!window.audioEngine.getSynth(owner)) return;
+        if (param === 'resonance') ui.handleParamChange(param, pct / 5, owner);
+        else if (param === 'cutoff') ui.handleParamChange(param, ((pct / 100) * 4900) + 100, owner);
+        else ui.handleParamChange(param, pct, owner);
+    }
+
+    // Current value of a target as CC 0-127 (null = target gone)
+    getValue(target) {
+        const [owner, param] = MidiLearn.split(target);
+        let pct;
+        if (owner === 'drums') {
+            const drum = window.drumSynth;
+            if (param === 'master') pct = drum.masterVolume;
+            else if (drum.channels[parseInt(param)]) pct = drum.channels[parseInt(param)].volume;
+            else return null;
+        } else {
+            const synth = window.audioEngine.getSynth(owner);
+            if (!synth) return null;
+            pct = param === 'resonance' ? synth.params.resonance * 5 : synth.params[param];
+        }
+        return Math.max(0, Math.min(127, Math.round(pct / 100 * 127)));
+    }
+
+    // --- FEEDBACK ---
+    // Called after edits (history notifications): the values settle first, then changed ones go out
+    queueFeedback() {
+        if (this.feedbackTimer) return;
+        this.feedbackTimer = setTimeout(() => { this.feedbackTimer = null; this.sendFeedback(); }, 0);
+    }
+
+    sendFeedback() {
+        const out = this.getOutput();
+        if (!out) return;
+        this.bindings.forEach(b => {
+            const key = `${b.channel}:${b.cc}`;
+            const val = this.getValue(b.target);
+            if (val === null || this.sent[key] === val) return;
+            this.sent[key] = val;
+            out.send([0xB0 | b.channel, b.cc, val]);
+        });
+    }
+
+    // --- LISTENERS ---
+    subscribe(fn) { this.listeners.push(fn); }
+    notify() { this.listeners.forEach(fn => fn(this)); }
+
+    // --- HELPERS ---
+    // 'bass-1:cutoff' -> ['bass-1', 'cutoff'] (synth ids may not contain ':')
+    static split(target) {
+        const i = target.lastIndexOf(':');
+        return [target.slice(0, i), target.slice(i + 1)];
+    }
+
+    static describe(target) {
+        const [owner, param] = MidiLearn.split(target);
+        if (owner !== 'drums') return `${owner.toUpperCase()} ${(MidiLearn.LABELS[param] || param).toUpperCase()}`;
+        if (param === 'master') return 'DRUMS MASTER VOL';
+        const ch = window.drumSynth ? window.drumSynth.channels[parseInt(param)] : null;
+        return `DRUMS ${ch ? ch.name.toUpperCase() : param} VOL`;
+    }
+}
+
+// Rack labels per learnable bass parameter
+MidiLearn.LABELS = {
+    volume: 'VOL', cutoff: 'CUT', resonance: 'RES', envMod: 'ENV', decay: 'DEC', accentInt: 'ACC',
+    distortion: 'DRV', distTone: 'TONE', distGain: 'GAIN', sendDelay: 'DLY', sendReverb: 'REV'
+};
+MidiLearn.STORAGE_KEY = 'nd23-midi-learn';
+
+window.MidiLearn = MidiLearn;
+
+// Instance for the Editor Session
+window.midiLearn = new MidiLearn();
@@ -0,0 +1,392 @@
+/*
+ * PROJECT IO MODULE (Versioned JSON Projects)
+ * Structured alternative to the positional CSV: every section is named, so new
+ * features add keys instead of shifting columns.
+ *   capture()  -> project object from the live session
+ *   load(doc)  -> parse + migrate + validate + apply (returns { ok, errors })
+ * Older documents are upgraded step by step through ProjectIO.MIGRATIONS;
+ * CSV text is still accepted and imported through TimeMatrix.importFromCSV.
+ */
+
+class ProjectIO {
+    // --- CAPTURE ---
+    static capture() {
+        const st = window.AppState;
+        const engine = window.audioEngine;
+        const drum = window.drumSynth;
+        const clone = (o) => JSON.parse(JSON.stringify(o));
+
+        return {
+            format: ProjectIO.FORMAT,
+            version: ProjectIO.VERSION,
+            tempo: { bpm: st.bpm, swing: st.swing, swingBass: st.swingBass, swingDrums: st.swingDrums },
+            blocks: clone(window.timeMatrix.blocks),
+            song: clone(window.timeMatrix.song),
+            synths: engine.bassSynths.map(s => ({ id: s.id, params: clone(s.params), mute: s.mute, solo: s.solo })),
+            drums: drum ? {
+                masterVolume: drum.masterVolume,
+                channels: drum.channels.map(ch => ({
+                    id: ch.id, type: ch.type, variant: ch.variant, volume: ch.volume, colorId: ch.colorId,
+                    sendDelay: ch.sendDelay, sendReverb: ch.sendReverb, pan: ch.pan, mute: ch.mute, solo: ch.solo, midiNote: ch.midiNote,
+                    sidechain: { ...ch.sidechain }
+                }))
+            } : null,
+            sendFx: clone(engine.sendFx.settings),
+            masterBus: clone(engine.masterBus.settings),
+            midiMap: window.midiLearn ? clone(window.midiLearn.bindings) : [],
+            ui: ProjectIO.UI_KEYS.reduce((ui, k) => { ui[k] = st[k]; return ui; }, {})
+        };
+    }
+
+    static stringify(doc) { return JSON.stringify(doc, null, 1); }
+
+    // --- LOAD ---
+    // text: JSON project (object or string) or legacy CSV
+    static load(text) {
+        const history = window.historyManager;
+        if (typeof text === 'string' && !text.trim().startsWith('{')) {
+            // The CSV parser writes as it reads: a rejected file is rolled back
+            const before = history ? history.capture() : null;
+            const ok = window.timeMatrix.importFromCSV(text);
+            if (ok) window.audioEngine.syncWithMatrix(window.timeMatrix);
+            else if (before) history.restore(before);
+            return { ok, errors: ok ? [] : ['CSV: invalid data'] };
+        }
+
+        let doc = text;
+        if (typeof text === 'string') {
+            try { doc = JSON.parse(text); }
+            catch (e) { return { ok: false, errors: [`JSON: ${e.message}`] }; }
+        }
+
+        try { doc = ProjectIO.migrate(doc); }
+        catch (e) { return { ok: false, errors: [String(e)] }; }
+
+        const errors = ProjectIO.validate(doc);
+        if (errors.length) return { ok: false, errors };
+        // Safety net for anything validate() misses: roll the session back instead of leaving it half-loaded
+        const before = history ? history.capture() : null;
+        try { ProjectIO.apply(doc); }
+        catch (e) {
+            if (before) history.restore(before);
+            return { ok: false, errors: [`Apply: ${e.message || e}`] };
+        }
+        return { ok: true, errors: [] };
+    }
+
+    // Upgrades doc.version one step at a time up to ProjectIO.VERSION
+    static migrate(doc) {
+        if (!doc || doc.format !== ProjectIO.FORMAT) throw "Not a NeuroDark23 project";
+        let out = JSON.parse(JSON.stringify(doc));
+        if (!Number.isInteger(out.version) || out.version < 1) throw "Invalid project version";
+        if (out.version > ProjectIO.VERSION) throw `Project version ${out.version} is newer than this app (${ProjectIO.VERSION})`;
+        while (out.version < ProjectIO.VERSION) {
+            out = ProjectIO.MIGRATIONS[out.version](out);
+            out.version++;
+        }
+        return out;
+    }
+
+    // --- SCHEMA VALIDATION ---
+    // Returns readable 'path: problem' messages (empty = valid). Optional sections may be missing.
+    static validate(doc) {
+        const errors = [];
+        const check = (cond, path, msg) => { if (!cond) errors.push(`${path}: ${msg}`); return cond; };
+        const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        const isNum = (v) => typeof v === 'number' && isFinite(v);
+        const tm = window.timeMatrix;
+        const BS = window.BassSynth;
+        const oneOf = (v, list) => list.includes(v);
+        // '<synthId>:<param>' or 'drums:<channel | master>' (ids are only known once synths are checked)
+        const isTargetKey = (k) => typeof k === 'string' && window.TimeMatrix.AUTOMATION_KEY.test(k)
+            && (k.startsWith('drums:') || ids.includes(k.slice(0, k.lastIndexOf(':'))));
+        const condHint = window.TrigConditions.OPTIONS.map(o => `'${o[0]}'`).join(' | ');
+        const checkSidechain = (sc, p) => {
+            if (!check(isObj(sc), p, 'object')) return;
+            Object.keys(window.Ducker.LIMITS).forEach(k => {
+                const [min, max] = window.Ducker.LIMITS[k];
+                if (sc[k] !== undefined) check(k === 'source' ? isInt(sc[k], min, max) : isNum(sc[k]) && sc[k] >= min && sc[k] <= max, `${p}.${k}`, `number ${min} to ${max}`);
+            });
+        };
+
+        if (!check(isObj(doc), 'project', 'must be an object')) return errors;
+        if (check(isObj(doc.tempo), 'tempo', 'missing')) {
+            check(isInt(doc.tempo.bpm, tm.bpmLimits.min, tm.bpmLimits.max), 'tempo.bpm', `integer ${tm.bpmLimits.min}-${tm.bpmLimits.max}`);
+            check(isInt(doc.tempo.swing, 0, 100), 'tempo.swing', 'integer 0-100');
+            ['swingBass', 'swingDrums'].forEach(k => {
+                const v = doc.tempo[k];
+                if (v !== undefined && v !== null) check(isInt(v, 0, 100), `tempo.${k}`, 'null or integer 0-100');
+            });
+        }
+
+        // Synths first: block tracks are checked against their ids
+        const ids = [];
+        if (check(Array.isArray(doc.synths) && doc.synths.length > 0, 'synths', 'non-empty array')) {
+            doc.synths.forEach((s, i) => {
+                const p = `synths[${i}]`;
+                if (!check(isObj(s) && BS.isValidId(s.id), `${p}.id`, "letters, digits, '-' or '_' (not 'drum')")) return;
+                check(!ids.includes(s.id), `${p}.id`, `duplicate '${s.id}'`);
+                ids.push(s.id);
+                if (!check(isObj(s.params), `${p}.params`, 'missing')) return;
+                [...BS.LOCKABLE, 'sendDelay', 'sendReverb', 'pan'].forEach(k => {
+                    if (s.params[k] !== undefined) check(isNum(s.params[k]), `${p}.params.${k}`, 'number');
+                });
+                if (s.params.waveform !== undefined) check(['sawtooth', 'square'].includes(s.params.waveform), `${p}.params.waveform`, 'sawtooth | square');
+                if (s.params.sidechain !== undefined) checkSidechain(s.params.sidechain, `${p}.params.sidechain`);
+                if (s.params.lfos !== undefined && check(Array.isArray(s.params.lfos), `${p}.params.lfos`, 'array')) {
+                    s.params.lfos.forEach((l, j) => {
+                        const lp = `${p}.params.lfos[${j}]`;
+                        if (!check(isObj(l), lp, 'object')) return;
+                        check(oneOf(l.target, BS.LFO_TARGETS), `${lp}.target`, BS.LFO_TARGETS.join(' | '));
+                        check(oneOf(l.shape, BS.LFO_SHAPES), `${lp}.shape`, BS.LFO_SHAPES.join(' | '));
+                        check(BS.LFO_RATES.some(r => r[0] === l.rate), `${lp}.rate`, BS.LFO_RATES.map(r => r[0]).join(' | '));
+                        check(isNum(l.depth) && l.depth >= -100 && l.depth <= 100, `${lp}.depth`, 'number -100 to 100');
+                        check(typeof l.retrig === 'boolean', `${lp}.retrig`, 'boolean');
+                    });
+                }
+            });
+        }
+
+        const maxBlocks = window.TimeMatrix.MAX_BLOCKS;
+        if (check(Array.isArray(doc.blocks) && doc.blocks.length > 0 && doc.blocks.length <= maxBlocks, 'blocks', `1-${maxBlocks} blocks`)) {
+            doc.blocks.forEach((b, i) => {
+                const p = `blocks[${i}]`;
+                if (!check(isObj(b) && isInt(b.steps, 1, 256), `${p}.steps`, 'integer 1-256')) return;
+                if (b.bpm !== null && b.bpm !== undefined) check(isInt(b.bpm, tm.bpmLimits.min, tm.bpmLimits.max), `${p}.bpm`, 'integer or null');
+                if (check(isObj(b.tracks), `${p}.tracks`, 'missing')) {
+                    Object.keys(b.tracks).forEach(id => {
+                        const tp = `${p}.tracks.${id}`;
+                        check(ids.includes(id), tp, 'unknown synth');
+                        if (!check(Array.isArray(b.tracks[id]) && b.tracks[id].length === b.steps, tp, `array of ${b.steps} steps`)) return;
+                        b.tracks[id].forEach((n, s) => {
+                            if (n === null) return;
+                            const np = `${tp}[${s}]`;
+                            if (!check(isObj(n) && tm.noteMap[n.note] !== undefined, `${np}.note`, 'C..B')) return;
+                            check(isInt(n.octave, 0, 8), `${np}.octave`, 'integer 0-8');
+                            ['slide', 'accent'].forEach(k => {
+                                if (n[k] !== undefined) check(typeof n[k] === 'boolean', `${np}.${k}`, 'boolean');
+                            });
+                            if (n.gate !== undefined) check(BS.GATE_ORDER.includes(n.gate), `${np}.gate`, BS.GATE_ORDER.join(' | '));
+                            if (n.cond !== undefined) check(window.TrigConditions.isKnown(n.cond), `${np}.cond`, condHint);
+                            if (n.locks !== undefined && check(isObj(n.locks), `${np}.locks`, 'object')) {
+                                Object.keys(n.locks).forEach(k => {
+                                    check(BS.LOCKABLE.includes(k) && isNum(n.locks[k]), `${np}.locks.${k}`, 'lockable parameter, number');
+                                });
+                            }
+                        });
+                    });
+                }
+                if (check(Array.isArray(b.drums) && b.drums.length === b.steps, `${p}.drums`, `array of ${b.steps} steps`)) {
+                    b.drums.forEach((hits, s) => {
+                        if (!check(Array.isArray(hits), `${p}.drums[${s}]`, 'array')) return;
+                        hits.forEach((h, j) => {
+                            const hp = `${p}.drums[${s}][${j}]`;
+                            if (!check(isObj(h) && isInt(h.id, 0, 8) && isInt(h.vel, 1, 127), hp, '{ id 0-8, vel 1-127 }')) return;
+                            if (h.cond !== undefined) check(window.TrigConditions.isKnown(h.cond), `${hp}.cond`, condHint);
+                        });
+                    });
+                }
+                if (b.automation !== undefined && check(isObj(b.automation), `${p}.automation`, 'object')) {
+                    Object.keys(b.automation).forEach(k => {
+                        if (!check(isTargetKey(k), `${p}.automation.${k}`, "unknown lane ('synthId:param' or 'drums:id')")) return;
+                        const lane = b.automation[k];
+                        check(Array.isArray(lane) && lane.length === b.steps && lane.every(v => v === null || isNum(v)),
+                            `${p}.automation.${k}`, `array of ${b.steps} numbers or null`);
+                    });
+                }
+            });
+        }
+
+        if (doc.song !== undefined && check(isObj(doc.song) && Array.isArray(doc.song.entries), 'song', '{ entries: [] }')) {
+            const count = Array.isArray(doc.blocks) ? doc.blocks.length : 0;
+            const last = doc.song.entries.length - 1;
+            doc.song.entries.forEach((e, i) => {
+                if (!check(isObj(e) && isInt(e.block, 0, count - 1) && isInt(e.repeats, 1, 99), `song.entries[${i}]`, '{ block, repeats 1-99 }')) return;
+                if (e.jump !== undefined && e.jump !== null) check(isInt(e.jump, 0, last), `song.entries[${i}].jump`, `null or entry index (${last + 1} entries)`);
+            });
+            if (doc.song.enabled !== undefined) check(typeof doc.song.enabled === 'boolean', 'song.enabled', 'boolean');
+            ['loopMarker', 'endMarker'].forEach(k => {
+                const v = doc.song[k];
+                if (v !== undefined && v !== null) check(isInt(v, 0, last), `song.${k}`, `null or entry index (${last + 1} entries)`);
+            });
+        }
+
+        if (doc.drums && check(isObj(doc.drums) && Array.isArray(doc.drums.channels), 'drums', '{ masterVolume, channels: [] }')) {
+            check(isInt(doc.drums.masterVolume, 0, 100), 'drums.masterVolume', 'integer 0-100');
+            doc.drums.channels.forEach((ch, i) => {
+                const p = `drums.channels[${i}]`;
+                if (!check(isObj(ch), p, 'object')) return;
+                check(isInt(ch.variant, 0, 8), `${p}.variant`, 'integer 0-8');
+                check(isInt(ch.volume, 0, 100), `${p}.volume`, 'integer 0-100');
+                if (ch.colorId !== undefined) check(isInt(ch.colorId, 0, 8), `${p}.colorId`, 'integer 0-8');
+                if (ch.midiNote !== undefined) check(isInt(ch.midiNote, 0, 127), `${p}.midiNote`, 'integer 0-127');
+                ['sendDelay', 'sendReverb', 'pan'].forEach(k => {
+                    if (ch[k] !== undefined) check(isNum(ch[k]), `${p}.${k}`, 'number');
+                });
+                if (ch.sidechain !== undefined) checkSidechain(ch.sidechain, `${p}.sidechain`);
+            });
+        }
+
+        if (doc.midiMap !== undefined && check(Array.isArray(doc.midiMap), 'midiMap', 'array')) {
+            doc.midiMap.forEach((b, i) => {
+                check(isObj(b) && isInt(b.channel, 0, 15) && isInt(b.cc, 0, 127) && isTargetKey(b.target),
+                    `midiMap[${i}]`, '{ channel 0-15, cc 0-127, target }');
+            });
+        }
+
+        // Buses: present values must be in range (applySettings feeds them straight to AudioParams)
+        if (doc.sendFx !== undefined && check(isObj(doc.sendFx), 'sendFx', 'object')) {
+            Object.keys(window.SendFx.DEFAULTS).forEach(group => {
+                const g = doc.sendFx[group];
+                if (g === undefined || !check(isObj(g), `sendFx.${group}`, 'object')) return;
+                Object.keys(window.SendFx.DEFAULTS[group]).forEach(k => {
+                    if (g[k] === undefined) return;
+                    if (k === 'division') check(window.SendFx.DIVISIONS.some(d => d[0] === g[k]), `sendFx.${group}.${k}`, window.SendFx.DIVISIONS.map(d => d[0]).join(' | '));
+                    else check(isNum(g[k]) && g[k] >= 0 && g[k] <= 100, `sendFx.${group}.${k}`, 'number 0-100');
+                });
+            });
+        }
+
+        if (doc.masterBus !== undefined && check(isObj(doc.masterBus), 'masterBus', 'object')) {
+            window.MasterBus.FIELDS.forEach(([group, key, , min, max]) => {
+                const g = key === null ? doc.masterBus : doc.masterBus[group];
+                const k = key === null ? group : key;
+                if (g === undefined || !check(isObj(g), `masterBus.${group}`, 'object') || g[k] === undefined) return;
+                const path = key === null ? `masterBus.${group}` : `masterBus.${group}.${key}`;
+                if (k === 'enabled') check(typeof g[k] === 'boolean', path, 'boolean');
+                else check(isNum(g[k]) && g[k] >= min && g[k] <= max, path, `number ${min} to ${max}`);
+            });
+        }
+
+        if (doc.ui !== undefined && check(isObj(doc.ui), 'ui', 'object')) {
+            Object.keys(ProjectIO.UI_RULES).forEach(k => {
+                const [test, hint] = ProjectIO.UI_RULES[k];
+                if (doc.ui[k] !== undefined) check(test(doc.ui[k]), `ui.${k}`, hint);
+            });
+        }
+        return errors;
+    }
+
+    // --- APPLY ---
+    // Doc must be migrated and valid. Missing optional sections fall back to defaults.
+    static apply(doc) {
+        const engine = window.audioEngine;
+        const tm = window.timeMatrix;
+        const st = window.AppState;
+        const clone = (o) => JSON.parse(JSON.stringify(o));
+
+        // 1. Synth Pool (before blocks: add/remove touches the tracks)
+        const ids = doc.synths.map(s => s.id);
+        for (let i = engine.bassSynths.length - 1; i >= 0; i--) {
+            if (!ids.includes(engine.bassSynths[i].id)) engine.removeSynth(engine.bassSynths[i].id);
+        }
+        doc.synths.forEach(snap => {
+            const synth = engine.getSynth(snap.id) || engine.addBassSynth(snap.id);
+            synth.applyParams(new window.BassSynth(snap.id).params); // Reset keys the document may omit
+            synth.applyParams(snap.params);
+            synth.mute = !!snap.mute;
+            synth.solo = !!snap.solo;
+        });
+        engine.bassSynths.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+        // 2. Pattern Data (normalized: every block has every track, tempo and automation fields)
+        tm.blocks = doc.blocks.map(b => ({
+            steps: b.steps,
+            bpm: b.bpm || null,
+            ramp: !!b.ramp,
+            tracks: clone(b.tracks),
+            drums: clone(b.drums),
+            automation: clone(b.automation || {})
+        }));
+        ids.forEach(id => tm.registerTrack(id));
+        tm.song = { ...tm.createSong(), ...(doc.song ? clone(doc.song) : {}) };
+        tm.song.entries.forEach(e => { if (e.jump === undefined) e.jump = null; });
+
+        // 3. Drum Config
+        const drum = window.drumSynth;
+        if (drum && doc.drums) {
+            drum.setMasterVolume(doc.drums.masterVolume);
+            drum.channels.forEach((ch, id) => {
+                const snap = doc.drums.channels[id] || {};
+                drum.setChannelVariant(id, snap.variant !== undefined ? snap.variant : 1);
+                if (snap.volume !== undefined) drum.setChannelVolume(id, snap.volume);
+                ch.colorId = snap.colorId !== undefined ? snap.colorId : id;
+                drum.setChannelSend(id, 'sendDelay', snap.sendDelay || 0);
+                drum.setChannelSend(id, 'sendReverb', snap.sendReverb || 0);
+                drum.setChannelPan(id, snap.pan || 0);
+                drum.setChannelMidiNote(id, snap.midiNote !== undefined ? snap.midiNote : window.DrumSynth.GM_NOTES[ch.type]);
+                ch.mute = !!snap.mute;
+                ch.solo = !!snap.solo;
+                ch.sidechain = { source: -1, depth: 60, attack: 5, release: 150, ...(snap.sidechain || {}) };
+            });
+        }
+
+        // 4. Buses
+        engine.sendFx.applySettings(doc.sendFx || window.SendFx.DEFAULTS);
+        engine.masterBus.applySettings(doc.masterBus || window.MasterBus.PRESETS.DEFAULT);
+        engine.applyMix();
+        if (window.midiLearn) window.midiLearn.setBindings(doc.midiMap);
+
+        // 5. Tempo & Groove
+        st.bpm = doc.tempo.bpm;
+        st.swing = doc.tempo.swing;
+        st.swingBass = doc.tempo.swingBass !== undefined ? doc.tempo.swingBass : null;
+        st.swingDrums = doc.tempo.swingDrums !== undefined ? doc.tempo.swingDrums : null;
+        const bpmInput = document.getElementById('bpm-input');
+        if (bpmInput) bpmInput.value = st.bpm;
+
+        // 6. UI Prefs (only known keys, views clamped to what exists)
+        const ui = doc.ui || {};
+        ProjectIO.UI_KEYS.forEach(k => { if (ui[k] !== undefined) st[k] = ui[k]; });
+        if (st.activeView !== 'drum' && !engine.getSynth(st.activeView)) st.activeView = ids[0];
+        st.editingBlock = Math.max(0, Math.min(tm.blocks.length - 1, st.editingBlock | 0));
+        st.loopStart = Math.max(0, Math.min(tm.blocks.length - 1, st.loopStart | 0));
+        st.loopEnd = Math.max(0, Math.min(tm.blocks.length - 1, st.loopEnd | 0));
+        st.selectedSongEntry = 0;
+    }
+}
+
+ProjectIO.FORMAT = 'neurodark23-project';
+ProjectIO.VERSION = 1;
+
+// MIGRATIONS[n] turns a version n document into version n + 1.
+// Add one entry (and bump VERSION) whenever the document shape changes.
+ProjectIO.MIGRATIONS = {};
+
+// AppState keys stored as UI prefs
+ProjectIO.UI_KEYS = ['activeView', 'editingBlock', 'currentOctave', 'uiMode', 'viewKeys', 'viewFx', 'followPlayback',
+    'loopMode', 'loopStart', 'loopEnd', 'exportReps', 'exportScope', 'renderSeed', 'exportStems', 'stemDrums', 'stemChain',
+    'exportBits', 'exportRate', 'exportNormalize', 'exportDither', 'exportTail'];
+
+// Validation per UI pref: [test, readable hint]. Every UI_KEYS entry needs a rule.
+ProjectIO.UI_RULES = (() => {
+    const isInt = (v) => Number.isInteger(v) && v >= 0;
+    const isBool = (v) => typeof v === 'boolean';
+    const oneOf = (list) => [(v) => list.includes(v), list.join(' | ')];
+    return {
+        activeView: [(v) => typeof v === 'string', 'string'],
+        editingBlock: [isInt, 'integer >= 0'],
+        currentOctave: [(v) => Number.isInteger(v) && v >= 1 && v <= 6, 'integer 1-6'],
+        uiMode: oneOf(['analog', 'digital']),
+        viewKeys: [isBool, 'boolean'],
+        viewFx: [isBool, 'boolean'],
+        followPlayback: [isBool, 'boolean'],
+        loopMode: oneOf(['song', 'block', 'range']),
+        loopStart: [isInt, 'integer >= 0'],
+        loopEnd: [isInt, 'integer >= 0'],
+        exportReps: oneOf([1, 2, 4, 8]),
+        exportScope: oneOf(['all', 'loop']),
+        renderSeed: [Number.isInteger, 'integer'],
+        exportStems: [isBool, 'boolean'],
+        stemDrums: oneOf(['split', 'group']),
+        stemChain: oneOf(['post', 'pre']),
+        exportBits: oneOf([16, 24, 32]),
+        exportRate: oneOf([44100, 48000, 96000]),
+        exportNormalize: [(v) => v === null || (typeof v === 'number' && v <= 0 && v > -100), 'null or dBFS <= 0'],
+        exportDither: [isBool, 'boolean'],
+        exportTail: [(v) => v === 'auto' || (typeof v === 'number' && v >= 0 && v <= 60), "'auto' or seconds 0-60"]
+    };
+})();
+
+window.ProjectIO = ProjectIO;
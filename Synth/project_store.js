@@ -0,0 +1,173 @@
+/*
+ * PROJECT STORE MODULE (IndexedDB Library + Autosave)
+ * Persists ProjectIO documents in the browser:
+ *   'projects' -> named library entries { id, name, created, updated, data }
+ *   'session'  -> the autosaved working session ('current'), restored on boot
+ * The session may be linked to a library entry: autosave then updates that entry too.
+ */
+
+class ProjectStore {
+    constructor() {
+        this.db = null;
+        this.current = null; // Linked library entry { id, name, created } or null (untitled)
+        this.autosaveDelay = 1000; // ms of quiet before writing (slider drags fire many changes)
+        this.autosaveTimer = null;
+        this.autosaveEnabled = false; // Off until boot recovery is done
+        this.hooked = false; // Change listeners installed (once)
+    }
+
+    // --- DATABASE ---
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.reject("IndexedDB not available");
+        return new Promise((resolve, reject) => {
+            const req = window.indexedDB.open(ProjectStore.DB_NAME, ProjectStore.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+                if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
+            };
+            req.onsuccess = () => { this.db = req.result; resolve(this.db); };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    isReady() { return this.db !== null; }
+
+    // Runs one request on a store and resolves with its result
+    request(storeName, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const req = fn(this.db.transaction(storeName, mode).objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // --- LIBRARY ---
+    // Entries without their data, most recently updated first
+    async list() {
+        const all = await this.request('projects', 'readonly', s => s.getAll());
+        return all.map(({ id, name, created, updated }) => ({ id, name, created, updated }))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    get(id) { return this.request('projects', 'readonly', s => s.get(id)); }
+
+    // Stores the live session as a new entry and links the session to it
+    async saveAs(name) {
+        const now = Date.now();
+        const entry = { name, created: now, updated: now, data: window.ProjectIO.capture() };
+        entry.id = await this.request('projects', 'readwrite', s => s.add(entry));
+        this.current = { id: entry.id, name, created: now };
+        this.startAutosave(); // The user picked what the session is now (also after a failed recovery)
+        await this.saveSession(entry.data);
+        return entry;
+    }
+
+    async duplicate(id) {
+        const src = await this.get(id);
+        if (!src) return null;
+        const now = Date.now();
+        const copy = { name: `${src.name} COPY`, created: now, updated: now, data: src.data };
+        copy.id = await this.request('projects', 'readwrite', s => s.add(copy));
+        return copy;
+    }
+
+    async rename(id, name) {
+        const entry = await this.get(id);
+        if (!entry) return;
+        entry.name = name;
+        entry.updated = Date.now();
+        await this.request('projects', 'readwrite', s => s.put(entry));
+        if (this.current && this.current.id === id) this.current.name = name;
+    }
+
+    // Deleting the linked entry keeps the session, now untitled
+    async remove(id) {
+        await this.request('projects', 'readwrite', s => s.delete(id));
+        if (this.current && this.current.id === id) {
+            this.current = null;
+            await this.saveSession();
+        }
+    }
+
+    // Loads an entry into the live session (returns ProjectIO.load result)
+    async openProject(id) {
+        const entry = await this.get(id);
+        if (!entry) return { ok: false, errors: [`Project ${id} not found`] };
+        const res = window.ProjectIO.load(entry.data);
+        if (res.ok) {
+            this.current = { id: entry.id, name: entry.name, created: entry.created };
+            this.startAutosave();
+            await this.saveSession();
+        }
+        return res;
+    }
+
+    // --- SESSION (AUTOSAVE) ---
+    // Single write path for the session: nothing is written while autosave is off
+    // (boot recovery pending or failed, or NEW PROJECT about to reload)
+    async saveSession(data) {
+        if (!this.autosaveEnabled || !this.db) return;
+        if (data === undefined) data = window.ProjectIO.capture();
+        const now = Date.now();
+        const session = { projectId: this.current ? this.current.id : null, updated: now, data };
+        await this.request('session', 'readwrite', s => s.put(session, 'current'));
+        if (this.current) await this.request('projects', 'readwrite', s => s.put({ ...this.current, updated: now, data }));
+    }
+
+    loadSession() { return this.request('session', 'readonly', s => s.get('current')); }
+
+    // NEW PROJECT: drops the session so the next boot starts blank (library untouched)
+    clearSession() {
+        this.autosaveEnabled = false;
+        clearTimeout(this.autosaveTimer);
+        this.current = null;
+        return this.request('session', 'readwrite', s => s.delete('current'));
+    }
+
+    // Boot: re-applies the last autosaved session. Resolves with it, or null if there was none
+    async recover() {
+        const session = await this.loadSession();
+        if (!session || !session.data) return null;
+        const res = window.ProjectIO.load(session.data);
+        if (!res.ok) throw `Session unreadable: ${res.errors[0]}`;
+        if (session.projectId !== null) {
+            const entry = await this.get(session.projectId);
+            if (entry) this.current = { id: entry.id, name: entry.name, created: entry.created };
+        }
+        return session;
+    }
+
+    // Debounced: every edit calls this, the write happens once things settle
+    scheduleAutosave() {
+        if (!this.autosaveEnabled || !this.db) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.flush(), this.autosaveDelay);
+    }
+
+    flush() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        return this.saveSession().catch(e => {
+            if (window.logToScreen) window.logToScreen(`AUTOSAVE ERR: ${e}`, 'error');
+        });
+    }
+
+    startAutosave() {
+        this.autosaveEnabled = true;
+        if (this.hooked) return;
+        this.hooked = true;
+        if (window.historyManager) window.historyManager.subscribe(() => this.scheduleAutosave());
+        // Last chance write when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden' && this.autosaveTimer) this.flush(); });
+    }
+}
+
+ProjectStore.DB_NAME = 'neurodark23';
+ProjectStore.DB_VERSION = 1;
+
+window.ProjectStore = ProjectStore;
+
+// Instance for the Editor Session
+window.projectStore = new ProjectStore();
@@ -0,0 +1,138 @@
+/*
+ * SEND FX MODULE (Delay + Reverb Buses)
+ * Shared send/return buses fed by per-synth and per-drum-channel send gains:
+ *   delayInput  -> tempo-synced ping-pong delay (feedback + filter) -> return
+ *   reverbInput -> convolution reverb (generated impulse response) -> return
+ * Returns sum into the master. Live and offline engines build identical graphs.
+ */
+
+class SendFx {
+    constructor(settings = null) {
+        this.ctx = null;
+        this.delayInput = null;
+        this.reverbInput = null;
+        this.bpm = 120;
+        this.irKey = null; // Size/damp the current impulse response was built for
+
+        this.settings = JSON.parse(JSON.stringify(SendFx.DEFAULTS));
+        if (settings) this.applySettings(settings);
+    }
+
+    init(audioContext, destination) {
+        this.ctx = audioContext;
+        const ctx = this.ctx;
+
+        // --- 1. PING-PONG DELAY ---
+        // Input -> Left tap -> Right tap -> Filter -> Feedback -> Left tap ...
+        this.delayInput = ctx.createGain();
+        this.delayL = ctx.createDelay(4.0);
+        this.delayR = ctx.createDelay(4.0);
+        this.delayFilter = ctx.createBiquadFilter();
+        this.delayFilter.type = 'lowpass';
+        this.delayFeedback = ctx.createGain();
+        this.delayReturn = ctx.createGain();
+        const merger = ctx.createChannelMerger(2);
+
+        this.delayInput.connect(this.delayL);
+        this.delayL.connect(this.delayR);
+        this.delayR.connect(this.delayFilter);
+        this.delayFilter.connect(this.delayFeedback);
+        this.delayFeedback.connect(this.delayL);
+        this.delayL.connect(merger, 0, 0);
+        this.delayR.connect(merger, 0, 1);
+        merger.connect(this.delayReturn);
+        this.delayReturn.connect(destination);
+
+        // --- 2. REVERB ---
+        this.reverbInput = ctx.createGain();
+        this.convolver = ctx.createConvolver();
+        this.reverbReturn = ctx.createGain();
+        this.reverbInput.connect(this.convolver);
+        this.convolver.connect(this.reverbReturn);
+        this.reverbReturn.connect(destination);
+
+        // Instant: an offline render must not start with parameters still gliding
+        this.update(true);
+    }
+
+    // --- SETTINGS ---
+    applySettings(settings) {
+        this.settings = {
+            delay: { ...this.settings.delay, ...(settings.delay || {}) },
+            reverb: { ...this.settings.reverb, ...(settings.reverb || {}) }
+        };
+        if (this.ctx) this.update(false);
+    }
+
+    update(instant) {
+        const d = this.settings.delay, r = this.settings.reverb;
+        const set = (param, val) => {
+            if (instant) param.value = val;
+            else this.setParam(param, val);
+        };
+        this.setTempo(this.bpm, instant ? 0 : undefined);
+        set(this.delayFeedback.gain, (d.feedback / 100) * 0.9);
+        set(this.delayFilter.frequency, 500 * Math.pow(32, d.tone / 100)); // 500Hz - 16kHz
+        set(this.delayReturn.gain, d.level / 100);
+        set(this.reverbReturn.gain, r.level / 100);
+        this.buildImpulse();
+    }
+
+    setDelay(key, val) { this.applySettings({ delay: { [key]: val } }); }
+    setReverb(key, val) { this.applySettings({ reverb: { [key]: val } }); }
+
+    // Delay time follows the tempo. time: optional exact switch point (block starts)
+    setTempo(bpm, time) {
+        this.bpm = bpm;
+        if (!this.ctx) return;
+        const sec = Math.min(4.0, this.settings.delay.division * (60 / bpm / 4));
+        [this.delayL.delayTime, this.delayR.delayTime].forEach(p => {
+            if (time !== undefined) p.setValueAtTime(sec, time);
+            else this.setParam(p, sec);
+        });
+    }
+
+    setParam(param, val) {
+        param.setTargetAtTime(val, this.ctx.currentTime, 0.02);
+    }
+
+    // Stereo noise burst with exponential decay. Seeded so every render gets the same room.
+    // size: tail length (0.3s - 5s), damp: how fast the highs die out
+    buildImpulse() {
+        const r = this.settings.reverb;
+        const key = `${r.size}:${r.damp}`;
+        if (key === this.irKey) return;
+        this.irKey = key;
+
+        const rate = this.ctx.sampleRate;
+        const seconds = 0.3 + (r.size / 100) * 4.7;
+        const len = Math.floor(rate * seconds);
+        const ir = this.ctx.createBuffer(2, len, rate);
+        const rng = window.TrigConditions.createRng(2323);
+        const smooth = 0.05 + (r.damp / 100) * 0.9; // One-pole lowpass amount growing along the tail
+
+        for (let c = 0; c < 2; c++) {
+            const data = ir.getChannelData(c);
+            let lp = 0;
+            for (let i = 0; i < len; i++) {
+                const t = i / len;
+                const noise = rng() * 2 - 1;
+                const k = 1 - smooth * t;
+                lp = lp + k * (noise - lp);
+                data[i] = lp * Math.pow(1 - t, 3);
+            }
+        }
+        this.convolver.buffer = ir;
+    }
+}
+
+// Values 0-100 except division (delay time in sequencer steps, 3 = dotted 1/8)
+SendFx.DEFAULTS = {
+    delay: { division: 3, feedback: 40, tone: 60, level: 70 },
+    reverb: { size: 50, damp: 50, level: 60 }
+};
+
+// Delay time options (steps, label)
+SendFx.DIVISIONS = [[1, '1/16'], [2, '1/8'], [3, '1/8 D'], [4, '1/4'], [6, '1/4 D'], [8, '1/2']];
+
+window.SendFx = SendFx;
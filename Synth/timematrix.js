@@ -6,13 +6,18 @@
 
 class TimeMatrix {
     constructor(steps = 16) {
-        this.totalSteps = steps;
+        this.totalSteps = steps; // Default length for new blocks (each block carries its own)
+        this.lengthOptions = [8, 12, 16, 24, 32, 64];
+        this.bpmLimits = { min: 40, max: 300 };
         this.gridCols = 4;
         this.blocks = [];
         this.containerId = 'matrix-container';
         this.selectedStep = 0;
         this.clipboard = null;
         
+        // Song Arrangement: ordered block references played instead of the block pool order
+        this.song = this.createSong();
+        
         // Note Mapping for CSV
         this.noteMapRev = ['-', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
         this.noteMap = {
@@ -29,28 +34,36 @@ class TimeMatrix {
     }
     
     registerTrack(id) { 
-        this.blocks.forEach(b=>{ if(!b.tracks[id]) b.tracks[id] = new Array(this.totalSteps).fill(null); }); 
+        this.blocks.forEach(b=>{ if(!b.tracks[id]) b.tracks[id] = new Array(b.steps).fill(null); }); 
     }
     
     removeTrack(id) { 
         this.blocks.forEach(b=>delete b.tracks[id]); 
+        this.clearAutomation(key => key.startsWith(`${id}:`));
     }
     
-    addBlock() {
+    // Song length cap (TimeMatrix.MAX_BLOCKS): add / duplicate / paste / imports stop there
+    canAddBlock() { return this.blocks.length < TimeMatrix.MAX_BLOCKS; }
+
+    addBlock(steps = this.totalSteps) {
+        if (!this.canAddBlock()) return false;
         const newTracks = {};
-        if (this.blocks.length > 0) Object.keys(this.blocks[0].tracks).forEach(k => newTracks[k] = new Array(this.totalSteps).fill(null));
-        else newTracks['bass-1'] = new Array(this.totalSteps).fill(null);
-        this.blocks.push({ tracks: newTracks, drums: new Array(this.totalSteps).fill().map(()=>[]) });
+        if (this.blocks.length > 0) Object.keys(this.blocks[0].tracks).forEach(k => newTracks[k] = new Array(steps).fill(null));
+        else newTracks['bass-1'] = new Array(steps).fill(null);
+        // bpm: own tempo (null = song tempo), ramp: glide into the next block's tempo
+        this.blocks.push({ steps: steps, bpm: null, ramp: false, tracks: newTracks, drums: new Array(steps).fill().map(()=>[]), automation: {} });
+        return true;
     }
     
     duplicateBlock(idx) {
-        if(!this.blocks[idx]) return;
+        if(!this.blocks[idx] || !this.canAddBlock()) return;
         const org = this.blocks[idx];
         const newTracks = {};
         Object.keys(org.tracks).forEach(k => {
-            newTracks[k] = org.tracks[k].map(n => n ? {...n} : null);
+            newTracks[k] = org.tracks[k].map(n => this.cloneNote(n));
         });
-        this.blocks.splice(idx+1, 0, { tracks: newTracks, drums: org.drums.map(d=>[...d]) });
+        this.blocks.splice(idx+1, 0, { steps: org.steps, bpm: org.bpm || null, ramp: !!org.ramp, tracks: newTracks, drums: org.drums.map(d => d.map(h => ({...h}))), automation: this.cloneAutomation(org) });
+        this.remapSongBlocks(b => b > idx ? b + 1 : b);
     }
 
     copyToClipboard(idx) {
@@ -58,31 +71,45 @@ class TimeMatrix {
         const org = this.blocks[idx];
         const newTracks = {};
         Object.keys(org.tracks).forEach(k => {
-            newTracks[k] = org.tracks[k].map(n => n ? {...n} : null);
+            newTracks[k] = org.tracks[k].map(n => this.cloneNote(n));
         });
-        const newDrums = org.drums.map(d => [...d]);
-        this.clipboard = { tracks: newTracks, drums: newDrums };
+        const newDrums = org.drums.map(d => d.map(h => ({...h})));
+        this.clipboard = { steps: org.steps, bpm: org.bpm || null, ramp: !!org.ramp, tracks: newTracks, drums: newDrums, automation: this.cloneAutomation(org) };
         return true;
     }
 
     pasteFromClipboard(idx) {
-        if (!this.clipboard) return false;
+        if (!this.clipboard || !this.canAddBlock()) return false;
         const source = this.clipboard;
         const newTracks = {};
         Object.keys(source.tracks).forEach(k => {
-            newTracks[k] = source.tracks[k].map(n => n ? {...n} : null);
+            newTracks[k] = source.tracks[k].map(n => this.cloneNote(n));
         });
-        const newDrums = source.drums.map(d => [...d]);
-        this.blocks.splice(idx + 1, 0, { tracks: newTracks, drums: newDrums });
+        const newDrums = source.drums.map(d => d.map(h => ({...h})));
+        this.blocks.splice(idx + 1, 0, { steps: source.steps, bpm: source.bpm, ramp: source.ramp, tracks: newTracks, drums: newDrums, automation: this.cloneAutomation(source) });
+        this.remapSongBlocks(b => b > idx ? b + 1 : b);
         return true;
     }
     
-    removeBlock(idx) { if(this.blocks.length<=1) this.clearBlock(0); else this.blocks.splice(idx,1); }
+    // Deep copy of a bass step (locks are nested)
+    cloneNote(n) {
+        if(!n) return null;
+        const c = {...n};
+        if(n.locks) c.locks = {...n.locks};
+        return c;
+    }
+
+    removeBlock(idx) {
+        if(this.blocks.length<=1) { this.clearBlock(0); return; }
+        this.blocks.splice(idx,1);
+        this.remapSongBlocks(b => b === idx ? -1 : (b > idx ? b - 1 : b));
+    }
     
     moveBlock(idx, dir) {
         const t = idx + dir;
         if(t<0 || t>=this.blocks.length) return false;
         const tmp = this.blocks[t]; this.blocks[t] = this.blocks[idx]; this.blocks[idx] = tmp;
+        this.remapSongBlocks(b => b === idx ? t : (b === t ? idx : b));
         return true;
     }
     
@@ -91,8 +118,199 @@ class TimeMatrix {
         if(!b) return;
         Object.keys(b.tracks).forEach(k=>b.tracks[k].fill(null));
         b.drums.forEach(d=>d.length=0);
+        b.automation = {};
     }
     
+    getBlockLength(idx) {
+        const b = this.blocks[idx];
+        return (b && b.steps) ? b.steps : this.totalSteps;
+    }
+
+    // Resizes a block: extra steps are dropped, new steps start empty
+    setBlockLength(idx, steps) {
+        const b = this.blocks[idx];
+        if(!b || steps < 1 || steps === b.steps) return false;
+        Object.keys(b.tracks).forEach(k => {
+            const t = b.tracks[k];
+            t.length = Math.min(t.length, steps);
+            while(t.length < steps) t.push(null);
+        });
+        b.drums.length = Math.min(b.drums.length, steps);
+        while(b.drums.length < steps) b.drums.push([]);
+        Object.values(b.automation || {}).forEach(lane => {
+            lane.length = Math.min(lane.length, steps);
+            while(lane.length < steps) lane.push(null);
+        });
+        b.steps = steps;
+        return true;
+    }
+
+    // --- TEMPO MAP ---
+    // Integer BPM clamped to the supported range (NaN for unparsable input)
+    clampBpm(val) {
+        const v = parseInt(val);
+        if(isNaN(v)) return NaN;
+        return Math.max(this.bpmLimits.min, Math.min(this.bpmLimits.max, v));
+    }
+
+    // bpm: null follows the song tempo
+    setBlockTempo(idx, bpm) {
+        const b = this.blocks[idx];
+        if(!b) return false;
+        const val = (bpm === null || bpm === '') ? null : this.clampBpm(bpm);
+        if(Number.isNaN(val)) return false;
+        b.bpm = val;
+        return true;
+    }
+
+    setBlockRamp(idx, ramp) {
+        const b = this.blocks[idx];
+        if(!b) return false;
+        b.ramp = !!ramp;
+        return true;
+    }
+
+    // --- AUTOMATION LANES ---
+    // Each block stores recorded lanes: automation[key] = per-step values (null = no point).
+    // Keys: '<synthId>:<param>' for bass params, 'drums:master' / 'drums:<channelId>' for drum volumes.
+    // A recorded value holds until the next point of the same block.
+    cloneAutomation(block) {
+        const out = {};
+        Object.keys(block.automation || {}).forEach(k => out[k] = block.automation[k].slice());
+        return out;
+    }
+
+    setAutomationPoint(blockIdx, key, step, value) {
+        const b = this.blocks[blockIdx];
+        if(!b || step < 0 || step >= b.steps) return false;
+        if(!b.automation) b.automation = {};
+        if(!b.automation[key]) b.automation[key] = new Array(b.steps).fill(null);
+        b.automation[key][step] = value;
+        return true;
+    }
+
+    // Value in effect at a step (null = no automation yet in this block)
+    getAutomationValue(blockIdx, key, step) {
+        const b = this.blocks[blockIdx];
+        const lane = b && b.automation ? b.automation[key] : null;
+        if(!lane) return null;
+        for(let s = Math.min(step, lane.length - 1); s >= 0; s--) {
+            if(lane[s] !== null && lane[s] !== undefined) return lane[s];
+        }
+        return null;
+    }
+
+    getAutomationKeys() {
+        const keys = new Set();
+        this.blocks.forEach(b => Object.keys(b.automation || {}).forEach(k => keys.add(k)));
+        return [...keys].sort();
+    }
+
+    // match: lane key or a predicate(key)
+    clearAutomation(match) {
+        const test = typeof match === 'function' ? match : (k => k === match);
+        this.blocks.forEach(b => Object.keys(b.automation || {}).forEach(k => { if(test(k)) delete b.automation[k]; }));
+    }
+
+    // --- SONG ARRANGEMENT ---
+    // Entries reference pool blocks by index: { block, repeats, jump }.
+    // jump: entry played after this one's repeats (null = next entry). Taken once per pass,
+    // so a jump backwards repeats a section (A B C -> A B A B C) instead of looping forever.
+    // loopMarker: entry the song jumps back to after the end (null = first entry)
+    // endMarker: last entry played (null = last entry)
+    createSong() {
+        return { enabled: false, entries: [], loopMarker: null, endMarker: null };
+    }
+
+    isSongActive() { return this.song.enabled && this.song.entries.length > 0; }
+
+    getSongEnd() {
+        const last = this.song.entries.length - 1;
+        return this.song.endMarker === null ? last : Math.min(this.song.endMarker, last);
+    }
+
+    addSongEntry(block, repeats = 1, at = this.song.entries.length) {
+        if(!this.blocks[block]) return false;
+        this.song.entries.splice(at, 0, { block, repeats: Math.max(1, repeats), jump: null });
+        this.remapSongRefs(v => v >= at ? v + 1 : v);
+        return true;
+    }
+
+    removeSongEntry(idx) {
+        if(!this.song.entries[idx]) return false;
+        this.song.entries.splice(idx, 1);
+        this.remapSongRefs(v => v === idx ? null : (v > idx ? v - 1 : v));
+        return true;
+    }
+
+    // Markers and jump targets follow the entries they point at. fn(index) -> new index or null
+    remapSongRefs(fn) {
+        ['loopMarker', 'endMarker'].forEach(m => {
+            if(this.song[m] !== null) this.song[m] = fn(this.song[m]);
+        });
+        this.song.entries.forEach(e => {
+            if(e.jump !== null && e.jump !== undefined) e.jump = fn(e.jump);
+        });
+    }
+
+    moveSongEntry(idx, dir) {
+        const e = this.song.entries;
+        const t = idx + dir;
+        if(!e[idx] || t < 0 || t >= e.length) return false;
+        const tmp = e[t]; e[t] = e[idx]; e[idx] = tmp;
+        return true;
+    }
+
+    setSongRepeats(idx, repeats) {
+        const e = this.song.entries[idx];
+        if(!e) return false;
+        e.repeats = Math.max(1, Math.min(99, repeats));
+        return true;
+    }
+
+    // Toggles a marker ('loopMarker' | 'endMarker') on an entry
+    toggleSongMarker(marker, idx) {
+        if(!this.song.entries[idx]) return false;
+        this.song[marker] = (this.song[marker] === idx) ? null : idx;
+        return true;
+    }
+
+    // Jump from an entry to another one (target null = no jump)
+    setSongJump(idx, target) {
+        const e = this.song.entries[idx];
+        if(!e || (target !== null && !this.song.entries[target])) return false;
+        e.jump = target;
+        return true;
+    }
+
+    // Keeps entries pointing at the same blocks when the pool changes.
+    // fn(oldIndex) returns the new index, or -1 when the block was deleted.
+    remapSongBlocks(fn) {
+        for(let i = this.song.entries.length - 1; i >= 0; i--) {
+            const nb = fn(this.song.entries[i].block);
+            if(nb < 0) this.removeSongEntry(i);
+            else this.song.entries[i].block = nb;
+        }
+    }
+
+    // --- DRUM HITS ---
+    // Drum steps hold hit objects: { id: channelId, vel: 1-127 }
+    getDrumHit(blockIdx, step, chId) {
+        const b = this.blocks[blockIdx];
+        if(!b || !b.drums[step]) return null;
+        return b.drums[step].find(h => h.id === chId) || null;
+    }
+
+    toggleDrumHit(blockIdx, step, chId, vel = window.DrumSynth.VELOCITY.normal) {
+        const b = this.blocks[blockIdx];
+        if(!b || !b.drums[step]) return false;
+        const hits = b.drums[step];
+        const idx = hits.findIndex(h => h.id === chId);
+        if(idx > -1) { hits.splice(idx, 1); return false; }
+        hits.push({ id: chId, vel: vel });
+        return true;
+    }
+
     getStepData(step, block) {
         const b = this.blocks[block];
         if(!b) return {};
@@ -103,12 +321,20 @@ class TimeMatrix {
     exportToCSV() {
         if(!window.audioEngine) return "";
         const bpm = window.AppState.bpm;
-        const totalStepsGlobal = this.blocks.length * this.totalSteps;
+        const totalStepsGlobal = this.blocks.reduce((sum, b) => sum + b.steps, 0);
         const synths = window.audioEngine.bassSynths;
         const drumSynth = window.drumSynth;
         
         // 1. HEADER
-        let csv = `${bpm}-${totalStepsGlobal}-${synths.length}`;
+        // Meta: BPM-TotalSteps-SynthCount-BlockLengths-Swing-TempoMap
+        // Lengths are '.' separated; Swing is Global.Bass.Drums ('x' = follow global)
+        // TempoMap has one '.' separated entry per block: BPM ('x' = song tempo), 'r' suffix = ramp
+        const lengths = this.blocks.map(b => b.steps).join('.');
+        const st = window.AppState;
+        const swOwn = (v) => (v === null || v === undefined) ? 'x' : v;
+        const swing = `${st.swing}.${swOwn(st.swingBass)}.${swOwn(st.swingDrums)}`;
+        const tempo = this.blocks.map(b => `${b.bpm || 'x'}${b.ramp ? 'r' : ''}`).join('.');
+        let csv = `${bpm}-${totalStepsGlobal}-${synths.length}-${lengths}-${swing}-${tempo}`;
         for(let i=1; i<=totalStepsGlobal; i++) csv += `,${i}`;
         csv += "\n";
 
@@ -116,18 +342,21 @@ class TimeMatrix {
         synths.forEach(synth => {
             const p = synth.params;
             const waveInt = p.waveform === 'square' ? 1 : 0;
-            const configStr = `${synth.id}:${p.volume}-${p.distortion}-${p.distTone}-${p.distGain}-${p.cutoff}-${p.resonance}-${p.envMod}-${p.decay}-${p.accentInt}-${waveInt}`;
+            // LFOs: Target.Shape.RateSteps.Depth.Retrig, '|' separated
+            const lfoStr = (p.lfos || []).map(l => `${l.target}.${l.shape}.${l.rate}.${l.depth}.${l.retrig ? 1 : 0}`).join('|');
+            const configStr = `${synth.id}:${p.volume}-${p.distortion}-${p.distTone}-${p.distGain}-${p.cutoff}-${p.resonance}-${p.envMod}-${p.decay}-${p.accentInt}-${waveInt}-${p.sendDelay}-${p.sendReverb}:${lfoStr}`;
             let row = configStr;
 
             this.blocks.forEach(block => {
                 const track = block.tracks[synth.id];
-                for(let s=0; s<this.totalSteps; s++) {
+                for(let s=0; s<block.steps; s++) {
                     const n = track ? track[s] : null;
                     if(n) {
                         const nInt = this.noteMap[n.note] || 0;
                         const sld = n.slide ? 1 : 0;
                         const acc = n.accent ? 1 : 0;
-                        row += `,${nInt}-${n.octave}-${sld}-${acc}`;
+                        const gate = this.gateIndex(n.gate);
+                        row += `,${nInt}-${n.octave}-${sld}-${acc}-${gate}-${n.cond || ''}-${this.encodeLocks(n.locks)}`;
                     } else {
                         row += `,0`;
                     }
@@ -139,7 +368,7 @@ class TimeMatrix {
         // 3. DRUMS TRACK
         if (drumSynth) {
             // Header: drums:MasterVol:Count|Ch1Data|Ch2Data...
-            // ChData: Type-Variant-Vol-ColorID
+            // ChData: Type-Variant-Vol-ColorID-DelaySend-ReverbSend-MidiNote
             let drumConfig = `drums:${drumSynth.masterVolume}:${drumSynth.channels.length}`;
             
             drumSynth.channels.forEach(ch => {
@@ -147,26 +376,73 @@ class TimeMatrix {
                 // If undefined, fallback to ID (default state)
                 const colId = (ch.colorId !== undefined) ? ch.colorId : ch.id;
                 
-                // Format: Type-Variant-Vol-ColorID
-                drumConfig += `|${ch.type}-${ch.variant}-${ch.volume}-${colId}`;
+                // Format: Type-Variant-Vol-ColorID-DelaySend-ReverbSend-MidiNote
+                drumConfig += `|${ch.type}-${ch.variant}-${ch.volume}-${colId}-${ch.sendDelay}-${ch.sendReverb}-${ch.midiNote}`;
             });
 
             let drumRow = drumConfig;
             
+            // Step cells: hits joined by '+', each ChannelID.Velocity[.Cond] ('-' = empty step)
             this.blocks.forEach(block => {
-                for(let s=0; s<this.totalSteps; s++) {
+                for(let s=0; s<block.steps; s++) {
                     const dStep = block.drums[s] || [];
-                    let binary = "";
-                    // Write binary for ALL channels
-                    drumSynth.channels.forEach(ch => {
-                        binary += dStep.includes(ch.id) ? "1" : "0";
-                    });
-                    drumRow += `,${binary}`;
+                    const cell = dStep.map(h => h.cond ? `${h.id}.${h.vel}.${h.cond}` : `${h.id}.${h.vel}`).join('+');
+                    drumRow += `,${cell || '-'}`;
                 }
             });
             csv += drumRow;
         }
 
+        // 4. SEND FX BUSES
+        // Header: sendfx:Division-Feedback-Tone-Level:Size-Damp-Level (no step cells)
+        const fx = window.audioEngine.sendFx.settings;
+        csv += `\nsendfx:${fx.delay.division}-${fx.delay.feedback}-${fx.delay.tone}-${fx.delay.level}:${fx.reverb.size}-${fx.reverb.damp}-${fx.reverb.level}`;
+
+        // 5. MASTER BUS
+        // Header: master:, cells: Group.Key=Value (see MasterBus.FIELDS / fieldName)
+        const bus = window.audioEngine.masterBus.settings;
+        csv += `\nmaster:`;
+        window.MasterBus.FIELDS.forEach(f => { csv += `,${window.MasterBus.fieldName(f)}=${window.MasterBus.fieldValue(bus, f)}`; });
+
+        // 6. MIXER
+        // Header: mixer:, cells: ChannelKey=Pan.Mute.Solo (ChannelKey: synth id or drums:<ChannelID>)
+        const strip = (key, pan, mute, solo) => `,${key}=${pan}.${mute ? 1 : 0}.${solo ? 1 : 0}`;
+        csv += `\nmixer:`;
+        synths.forEach(s => { csv += strip(s.id, s.params.pan, s.mute, s.solo); });
+        if (drumSynth) drumSynth.channels.forEach(ch => { csv += strip(`drums:${ch.id}`, ch.pan, ch.mute, ch.solo); });
+
+        // 7. SIDECHAIN
+        // Header: sidechain:, cells: ChannelKey=Source.Depth.Attack.Release (Source -1 = off)
+        const sc = (key, c) => `,${key}=${c.source}.${c.depth}.${c.attack}.${c.release}`;
+        csv += `\nsidechain:`;
+        synths.forEach(s => { csv += sc(s.id, s.params.sidechain); });
+        if (drumSynth) drumSynth.channels.forEach(ch => { csv += sc(`drums:${ch.id}`, ch.sidechain); });
+
+        // 8. AUTOMATION LANES
+        // Header: auto:<LaneKey>, cells: value per step ('-' = no point)
+        this.getAutomationKeys().forEach(key => {
+            let row = `\nauto:${key}`;
+            this.blocks.forEach(block => {
+                const lane = (block.automation || {})[key];
+                for(let s=0; s<block.steps; s++) {
+                    const v = lane ? lane[s] : null;
+                    row += `,${(v === null || v === undefined) ? '-' : v}`;
+                }
+            });
+            csv += row;
+        });
+
+        // 9. SONG ARRANGEMENT
+        // Header: song:Enabled:LoopEntry:EndEntry ('x' = none), cells: Block.Repeats[.JumpEntry]
+        if (this.song.entries.length > 0) {
+            const mark = (v) => v === null ? 'x' : v;
+            csv += `\nsong:${this.song.enabled ? 1 : 0}:${mark(this.song.loopMarker)}:${mark(this.song.endMarker)}`;
+            this.song.entries.forEach(e => {
+                csv += `,${e.block}.${e.repeats}`;
+                if (e.jump !== null && e.jump !== undefined) csv += `.${e.jump}`;
+            });
+        }
+
         return csv;
     }
 
@@ -180,7 +456,7 @@ class TimeMatrix {
 
             const headerCells = lines[0].split(',');
             const meta = headerCells[0].split('-'); 
-            const bpm = parseInt(meta[0]);
+            const bpm = this.clampBpm(meta[0]);
             const totalStepsGlobal = parseInt(meta[1]);
             
             if(isNaN(bpm) || isNaN(totalStepsGlobal)) throw "Invalid Metadata";
@@ -189,17 +465,136 @@ class TimeMatrix {
             const bpmInput = document.getElementById('bpm-input');
             if(bpmInput) bpmInput.value = bpm;
 
+            // Swing (missing in older CSVs: straight timing)
+            const sw = meta[4] ? meta[4].split('.') : [];
+            const swVal = (v) => (v === undefined || v === 'x' || isNaN(parseInt(v))) ? null : parseInt(v);
+            window.AppState.swing = swVal(sw[0]) || 0;
+            window.AppState.swingBass = swVal(sw[1]);
+            window.AppState.swingDrums = swVal(sw[2]);
+
+            // Block Lengths (older CSVs have no lengths field: 16-step blocks)
+            let lengths = meta[3] ? meta[3].split('.').map(Number) : [];
+            if(lengths.some(l => isNaN(l) || l < 1)) throw "Invalid Block Lengths";
+            if(lengths.length === 0) {
+                const blocksNeeded = Math.ceil(totalStepsGlobal / 16);
+                lengths = new Array(blocksNeeded).fill(16);
+            }
+            if(lengths.length > TimeMatrix.MAX_BLOCKS) throw "Too Many Blocks";
+
             // Reset Matrix
             this.blocks = [];
-            const blocksNeeded = Math.ceil(totalStepsGlobal / this.totalSteps);
-            for(let i=0; i<blocksNeeded; i++) this.addBlock();
+            this.song = this.createSong();
+            lengths.forEach(len => this.addBlock(len));
+            // Send buses (older CSVs have no sendfx row: defaults)
+            window.audioEngine.sendFx.applySettings(window.SendFx.DEFAULTS);
+            // Master Bus (older CSVs have no master row: original fixed chain)
+            window.audioEngine.masterBus.applySettings(window.MasterBus.PRESETS.DEFAULT);
+            // Mixer & Sidechain (older CSVs have neither row: centered, nothing muted/soloed, no ducking)
+            window.audioEngine.bassSynths.forEach(s => { s.setPan(0); s.mute = false; s.solo = false; s.setSidechain('source', -1); });
+            if(window.drumSynth) window.drumSynth.channels.forEach(ch => { window.drumSynth.setChannelPan(ch.id, 0); ch.mute = false; ch.solo = false; ch.sidechain.source = -1; });
+
+            // Tempo Map (missing in older CSVs: every block follows the song tempo)
+            const tempo = meta[5] ? meta[5].split('.') : [];
+            tempo.forEach((t, b) => {
+                if(!this.blocks[b]) return;
+                this.setBlockRamp(b, t.endsWith('r'));
+                const val = this.clampBpm(t);
+                this.setBlockTempo(b, isNaN(val) ? null : val);
+            });
+
+            // Global step -> [blockIdx, stepIdx]
+            const stepMap = [];
+            lengths.forEach((len, b) => { for(let s=0; s<len; s++) stepMap.push([b, s]); });
 
             for(let i=1; i<lines.length; i++) {
                 const cells = lines[i].split(',');
                 const configCell = cells[0]; 
                 
+                // --- AUTOMATION PARSING ---
+                if(configCell.startsWith('auto:')) {
+                    const key = configCell.slice(5);
+                    if(!TimeMatrix.AUTOMATION_KEY.test(key)) continue;
+                    for(let stepGlobal=0; stepGlobal < totalStepsGlobal; stepGlobal++) {
+                        const val = parseFloat(cells[stepGlobal + 1]);
+                        if(isNaN(val) || !stepMap[stepGlobal]) continue;
+                        const [blockIdx, stepIdx] = stepMap[stepGlobal];
+                        this.setAutomationPoint(blockIdx, key, stepIdx, val);
+                    }
+                }
+                // --- SEND FX PARSING ---
+                else if(configCell.startsWith('sendfx:')) {
+                    const h = configCell.split(':');
+                    const d = (h[1] || '').split('-').map(Number), r = (h[2] || '').split('-').map(Number);
+                    const def = window.SendFx.DEFAULTS;
+                    const val = (v, fallback) => isNaN(v) ? fallback : v;
+                    window.audioEngine.sendFx.applySettings({
+                        delay: { division: val(d[0], def.delay.division), feedback: val(d[1], def.delay.feedback), tone: val(d[2], def.delay.tone), level: val(d[3], def.delay.level) },
+                        reverb: { size: val(r[0], def.reverb.size), damp: val(r[1], def.reverb.damp), level: val(r[2], def.reverb.level) }
+                    });
+                }
+                // --- MASTER BUS PARSING ---
+                else if(configCell.startsWith('master:')) {
+                    cells.slice(1).forEach(cell => {
+                        const [name, raw] = cell.split('=');
+                        const f = window.MasterBus.FIELDS.find(x => window.MasterBus.fieldName(x) === name);
+                        const val = parseFloat(raw);
+                        if(f && !isNaN(val)) window.audioEngine.masterBus.setField(f, val);
+                    });
+                }
+                // --- MIXER PARSING ---
+                else if(configCell.startsWith('mixer:')) {
+                    cells.slice(1).forEach(cell => {
+                        const [key, data] = cell.split('=');
+                        const f = (data || '').split('.');
+                        const pan = parseInt(f[0]) || 0, mute = f[1] === '1', solo = f[2] === '1';
+                        if(key.startsWith('drums:')) {
+                            const id = parseInt(key.slice(6));
+                            if(!window.drumSynth || !window.drumSynth.channels[id]) return;
+                            window.drumSynth.setChannelPan(id, pan);
+                            Object.assign(window.drumSynth.channels[id], { mute, solo });
+                        } else {
+                            const synth = window.audioEngine.getSynth(key);
+                            if(!synth) return;
+                            synth.setPan(pan);
+                            Object.assign(synth, { mute, solo });
+                        }
+                    });
+                }
+                // --- SIDECHAIN PARSING ---
+                else if(configCell.startsWith('sidechain:')) {
+                    cells.slice(1).forEach(cell => {
+                        const [key, data] = cell.split('=');
+                        const f = (data || '').split('.').map(Number);
+                        if(f.length < 4 || f.some(isNaN)) return;
+                        const cfg = { source: f[0], depth: f[1], attack: f[2], release: f[3] };
+                        if(key.startsWith('drums:')) {
+                            const ch = window.drumSynth ? window.drumSynth.channels[parseInt(key.slice(6))] : null;
+                            if(ch) ch.sidechain = cfg;
+                        } else {
+                            const synth = window.audioEngine.getSynth(key);
+                            if(synth) synth.params.sidechain = cfg;
+                        }
+                    });
+                }
+                // --- SONG PARSING ---
+                else if(configCell.startsWith('song:')) {
+                    const h = configCell.split(':');
+                    const mark = (v) => (v === undefined || v === 'x' || isNaN(parseInt(v))) ? null : parseInt(v);
+                    const jumps = [];
+                    cells.slice(1).forEach(cell => {
+                        const [blk, rep, jump] = cell.split('.').map(Number);
+                        if(!isNaN(blk) && this.addSongEntry(blk, isNaN(rep) ? 1 : rep)) jumps.push(jump);
+                    });
+                    const count = this.song.entries.length;
+                    // Targets resolved once every entry exists (jumps may point forward)
+                    jumps.forEach((j, i) => { if(Number.isInteger(j) && j >= 0 && j < count) this.song.entries[i].jump = j; });
+                    const loop = mark(h[2]), end = mark(h[3]);
+                    this.song.enabled = h[1] === '1';
+                    this.song.loopMarker = (loop !== null && loop < count) ? loop : null;
+                    this.song.endMarker = (end !== null && end < count) ? end : null;
+                }
                 // --- DRUMS PARSING ---
-                if(configCell.startsWith('drums')) {
+                else if(configCell.startsWith('drums')) {
                     const parts = configCell.split('|');
                     const mainHeader = parts[0].split(':'); // drums:Vol:Count
                     
@@ -212,7 +607,7 @@ class TimeMatrix {
                         // parts[1] to parts[N] are channels
                         for(let c=1; c<parts.length; c++) {
                             const chData = parts[c].replace('[','').replace(']','').split('-');
-                            // Format: Type-Variant-Vol-ColorID
+                            // Format: Type-Variant-Vol-ColorID-DelaySend-ReverbSend-MidiNote
                             const chIdx = c - 1;
                             
                             if(window.drumSynth.channels[chIdx]) {
@@ -222,6 +617,11 @@ class TimeMatrix {
                                 
                                 window.drumSynth.setChannelVariant(chIdx, variant);
                                 window.drumSynth.setChannelVolume(chIdx, vol);
+                                window.drumSynth.setChannelSend(chIdx, 'sendDelay', parseInt(chData[4]) || 0);
+                                window.drumSynth.setChannelSend(chIdx, 'sendReverb', parseInt(chData[5]) || 0);
+                                // Older CSVs have no MIDI note: General MIDI default
+                                const midiNote = parseInt(chData[6]);
+                                window.drumSynth.setChannelMidiNote(chIdx, isNaN(midiNote) ? window.DrumSynth.GM_NOTES[window.drumSynth.channels[chIdx].type] : midiNote);
                                 
                                 // Restore Color State
                                 if(!isNaN(colId)) {
@@ -239,17 +639,11 @@ class TimeMatrix {
                         const binary = cells[stepGlobal + 1];
                         if(!binary) continue;
 
-                        const blockIdx = Math.floor(stepGlobal / this.totalSteps);
-                        const stepIdx = stepGlobal % this.totalSteps;
+                        if(!stepMap[stepGlobal]) continue;
+                        const [blockIdx, stepIdx] = stepMap[stepGlobal];
 
                         if(this.blocks[blockIdx]) {
-                            const activeDrums = [];
-                            for(let bit=0; bit<binary.length; bit++) {
-                                if(binary[bit] === '1') {
-                                    activeDrums.push(bit);
-                                }
-                            }
-                            this.blocks[blockIdx].drums[stepIdx] = activeDrums;
+                            this.blocks[blockIdx].drums[stepIdx] = this.parseDrumCell(binary);
                         }
                     }
                 } 
@@ -257,6 +651,7 @@ class TimeMatrix {
                 else if(configCell.includes(':')) {
                     const parts = configCell.split(':');
                     const id = parts[0];
+                    if(!window.BassSynth.isValidId(id)) throw "Invalid Synth Id";
                     const paramsStr = parts[1];
                     const pVals = paramsStr.split('-').map(Number);
 
@@ -270,28 +665,50 @@ class TimeMatrix {
                         synth.setEnvMod(pVals[6]); synth.setDecay(pVals[7]);
                         synth.setAccentInt(pVals[8]);
                         synth.setWaveform(pVals[9] === 1 ? 'square' : 'sawtooth');
+                        // Sends (missing in older CSVs: dry)
+                        synth.setSendDelay(pVals[10] || 0); synth.setSendReverb(pVals[11] || 0);
+                    }
+                    // LFOs (missing in older CSVs: all off)
+                    if(synth) {
+                        const lfoData = parts[2] ? parts[2].split('|') : [];
+                        synth.params.lfos.forEach((lfo, i) => {
+                            const f = lfoData[i] ? lfoData[i].split('.') : [];
+                            const rate = parseInt(f[2]), depth = parseInt(f[3]);
+                            Object.assign(lfo, {
+                                target: window.BassSynth.LFO_TARGETS.includes(f[0]) ? f[0] : 'none',
+                                shape: window.BassSynth.LFO_SHAPES.includes(f[1]) ? f[1] : 'sine',
+                                rate: rate > 0 ? rate : 16,
+                                depth: isNaN(depth) ? 0 : Math.max(-100, Math.min(100, depth)),
+                                retrig: f[4] !== '0'
+                            });
+                        });
                     }
                     this.registerTrack(id);
 
                     for(let stepGlobal=0; stepGlobal < totalStepsGlobal; stepGlobal++) {
                         const noteData = cells[stepGlobal + 1];
-                        if(!noteData || noteData === '0') continue;
-                        const blockIdx = Math.floor(stepGlobal / this.totalSteps);
-                        const stepIdx = stepGlobal % this.totalSteps;
+                        if(!noteData || noteData === '0' || !stepMap[stepGlobal]) continue;
+                        const [blockIdx, stepIdx] = stepMap[stepGlobal];
+                        // Note-Octave-Slide-Accent[-Gate-Cond-Locks] (older CSVs have no gate/cond/locks fields)
                         const nParts = noteData.split('-');
-                        if(nParts.length === 4) {
+                        if(nParts.length >= 4) {
                             const noteInt = parseInt(nParts[0]);
                             const noteChar = this.noteMapRev[noteInt];
                             if(this.blocks[blockIdx] && noteChar) {
                                 this.blocks[blockIdx].tracks[id][stepIdx] = {
                                     note: noteChar, octave: parseInt(nParts[1]),
-                                    slide: nParts[2] === '1', accent: nParts[3] === '1'
+                                    slide: nParts[2] === '1', accent: nParts[3] === '1',
+                                    gate: this.gateFromIndex(nParts[4]),
+                                    cond: window.TrigConditions.isKnown(nParts[5]) ? nParts[5] : ''
                                 };
+                                const locks = this.decodeLocks(nParts[6]);
+                                if(locks) this.blocks[blockIdx].tracks[id][stepIdx].locks = locks;
                             }
                         }
                     }
                 }
             }
+            window.audioEngine.applyMix();
             return true;
         } catch(e) {
             console.error("CSV Import Error:", e);
@@ -299,16 +716,68 @@ class TimeMatrix {
         }
     }
 
+    // Parameter locks cell field: 'param=value;param=value' ('' = no locks)
+    encodeLocks(locks) {
+        if(!locks) return '';
+        return Object.keys(locks).map(k => `${k}=${locks[k]}`).join(';');
+    }
+
+    decodeLocks(str) {
+        if(!str) return null;
+        const locks = {};
+        str.split(';').forEach(pair => {
+            const [k, v] = pair.split('=');
+            const val = parseFloat(v);
+            if(window.BassSynth.LOCKABLE.includes(k) && !isNaN(val)) locks[k] = val;
+        });
+        return Object.keys(locks).length ? locks : null;
+    }
+
+    // Drum step cell: 'ID.VEL[.COND]+ID.VEL' or '-' (empty).
+    // Older CSVs store one binary digit per channel at nominal velocity.
+    parseDrumCell(cell) {
+        const hits = [];
+        if(/^[01]+$/.test(cell)) {
+            for(let bit=0; bit<cell.length; bit++) {
+                if(cell[bit] === '1') hits.push({ id: bit, vel: window.DrumSynth.VELOCITY.normal });
+            }
+            return hits;
+        }
+        if(cell === '-') return hits;
+        cell.split('+').forEach(h => {
+            const parts = h.split('.');
+            const id = parseInt(parts[0]), vel = parseInt(parts[1]);
+            if(isNaN(id)) return;
+            const hit = { id: id, vel: isNaN(vel) ? window.DrumSynth.VELOCITY.normal : vel };
+            if(parts[2] && window.TrigConditions.isKnown(parts[2])) hit.cond = parts[2];
+            hits.push(hit);
+        });
+        return hits;
+    }
+
+    // --- GATE HELPERS (CSV stores the index in BassSynth.GATE_ORDER) ---
+    gateIndex(gate) {
+        const idx = window.BassSynth.GATE_ORDER.indexOf(gate);
+        return idx > -1 ? idx : 1;
+    }
+
+    gateFromIndex(val) {
+        return window.BassSynth.GATE_ORDER[parseInt(val)] || 'normal';
+    }
+
     // --- RENDER ---
     render(activeView, blockIndex) {
         if (!this.init()) return;
         this.container.innerHTML = '';
-        this.container.style.gridTemplateColumns = `repeat(${this.gridCols}, minmax(0, 1fr))`;
         
         const block = this.blocks[blockIndex];
         if (!block) return;
 
-        for (let i = 0; i < this.totalSteps; i++) {
+        // Long blocks get a wider grid to keep rows readable
+        const cols = block.steps > 16 ? this.gridCols * 2 : this.gridCols;
+        this.container.style.gridTemplateColumns = `repeat(${cols}, minmax(0, 1fr))`;
+
+        for (let i = 0; i < block.steps; i++) {
             const el = document.createElement('div');
             el.className = 'step-box';
             
@@ -332,7 +801,11 @@ class TimeMatrix {
         if(data) {
             el.classList.add('has-bass');
             const noteStr = `${data.accent ? '^' : ''}${data.note}${data.slide ? '~' : ''}`;
-            el.innerHTML = `<div class="matrix-cell-content"><span class="matrix-note-text">${noteStr}</span><span class="matrix-oct-text">${data.octave}</span></div>`;
+            const gate = data.gate || 'normal';
+            el.innerHTML = `<div class="matrix-cell-content"><span class="matrix-note-text">${noteStr}</span><span class="matrix-oct-text">${data.octave}</span></div>`
+                + `<div class="matrix-gate-bar gate-${gate}"></div>`
+                + this.condTag(data.cond)
+                + this.lockTag(data.locks);
         } else {
             el.classList.remove('has-bass');
             el.innerHTML = `<span class="matrix-step-num">${i+1}</span>`;
@@ -346,22 +819,39 @@ class TimeMatrix {
             const channels = window.drumSynth ? window.drumSynth.channels : [];
             const colors = window.drumSynth ? window.drumSynth.channelColors : [];
             
-            drums.forEach(chId => {
-                const ch = channels[chId];
+            const levels = window.DrumSynth.VELOCITY;
+            drums.forEach(hit => {
+                const ch = channels[hit.id];
                 // Only draw if channel is active (variant > 0)
                 if (ch && ch.variant > 0) {
                     // RENDER: Use explicit colorId to match UI swaps
                     const colIndex = (ch.colorId !== undefined) ? ch.colorId : ch.id;
                     const c = colors[colIndex % colors.length] || '#fff';
-                    html += `<div class="matrix-drum-dot" style="background-color:${c}; box-shadow: 0 0 4px ${c};"></div>`;
+                    // Velocity: dimmer dots for ghosts, ringed dots for accents
+                    const opacity = (0.3 + 0.7 * Math.min(hit.vel, levels.normal) / levels.normal).toFixed(2);
+                    const lvl = hit.vel >= levels.accent ? ' accent' : (hit.vel <= levels.ghost ? ' ghost' : '');
+                    html += `<div class="matrix-drum-dot${lvl}" style="background-color:${c}; box-shadow: 0 0 4px ${c}; opacity:${opacity};"></div>`;
                 }
             });
-            el.innerHTML = html + '</div>';
+            // Tag the step when any hit is conditional
+            const cond = drums.find(h => h.cond);
+            el.innerHTML = html + '</div>' + this.condTag(cond ? cond.cond : '');
         } else {
             el.innerHTML = `<span class="matrix-step-num">${i+1}</span>`;
         }
     }
 
+    condTag(cond) {
+        return cond ? `<span class="matrix-cond-tag">${window.TrigConditions.label(cond)}</span>` : '';
+    }
+
+    // Locked params listed in the tooltip, count shown in the top-left corner
+    lockTag(locks) {
+        const keys = locks ? Object.keys(locks) : [];
+        if(keys.length === 0) return '';
+        return `<span class="matrix-lock-tag" title="${keys.map(k => `${k}: ${Math.round(locks[k])}`).join(', ')}">P${keys.length}</span>`;
+    }
+
     highlightPlayingStep(index) {
         if (!this.init()) return;
         const old = this.container.querySelector('.step-playing');
@@ -372,4 +862,11 @@ class TimeMatrix {
     }
 }
 
+// Song length cap (project validation, MIDI import)
+TimeMatrix.MAX_BLOCKS = 256;
+
+// Automation lane / MIDI learn target keys: '<owner>:<param>', plain names only (rendered as labels)
+TimeMatrix.AUTOMATION_KEY = /^[a-z0-9_-]+:[a-z0-9]+$/i;
+
+window.TimeMatrix = TimeMatrix;
 window.timeMatrix = new TimeMatrix();
\ No newline at end of file
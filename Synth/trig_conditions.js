@@ -0,0 +1,70 @@
+/*
+ * TRIG CONDITIONS MODULE
+ * Per-step trigger conditions for bass notes and drum hits.
+ * Conditions are stored as short codes on the step data (note.cond / hit.cond):
+ *   ''      -> Always
+ *   'p50'   -> Probability (percent)
+ *   '1:4'   -> Plays on pass A of every B passes of its block
+ *   'first' -> First pass only
+ *   'fill' / '!fill' -> Only / never while FILL is active
+ */
+
+class TrigConditions {
+    static label(code) {
+        if (!code) return '';
+        const opt = TrigConditions.OPTIONS.find(o => o[0] === code);
+        if (opt) return opt[1];
+        if (code[0] === 'p') return `${code.slice(1)}%`;
+        return code.toUpperCase();
+    }
+
+    // Codes the editor offers ('' = always). Loaded files may only use these
+    static isKnown(code) {
+        return TrigConditions.OPTIONS.some(o => o[0] === code);
+    }
+
+    /**
+     * @param {string} code - Condition code
+     * @param {number} pass - Zero-based pass count of the block since playback start
+     * @param {function} rng - Random source returning [0, 1)
+     * @param {boolean} fill - Is FILL active?
+     */
+    static evaluate(code, pass, rng, fill) {
+        if (!code) return true;
+        if (code === 'first') return pass === 0;
+        if (code === 'fill') return fill;
+        if (code === '!fill') return !fill;
+        if (code[0] === 'p') {
+            const pct = parseInt(code.slice(1));
+            return isNaN(pct) ? true : rng() * 100 < pct;
+        }
+        const ratio = code.split(':').map(Number);
+        if (ratio.length === 2 && ratio[1] > 0) return (pass % ratio[1]) === (ratio[0] - 1);
+        return true;
+    }
+
+    // Seedable PRNG (mulberry32) so offline renders are reproducible
+    static createRng(seed) {
+        let a = (seed >>> 0) || 1;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Editor Presets (code, label)
+TrigConditions.OPTIONS = [
+    ['', 'ALWAYS'],
+    ['p10', '10%'], ['p25', '25%'], ['p50', '50%'], ['p75', '75%'], ['p90', '90%'],
+    ['1:2', '1:2'], ['2:2', '2:2'],
+    ['1:4', '1:4'], ['2:4', '2:4'], ['3:4', '3:4'], ['4:4', '4:4'],
+    ['1:8', '1:8'], ['8:8', '8:8'],
+    ['first', 'FIRST'],
+    ['fill', 'FILL'], ['!fill', 'NOT FILL']
+];
+
+window.TrigConditions = TrigConditions;
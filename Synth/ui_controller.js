@@ -8,6 +8,9 @@ class UIController {
     constructor() {
         this.drawFrameId = null;
         this.lastDrawnStep = -1;
+        this.clockSteps = 16; // Segments currently drawn in the play clock
+        this.playhead = null; // Last drawn (audible) position { block, step }
+        this.autoTouch = {}; // Latest values captured per automation lane while recording
         // Timer references for repeater buttons
         this.repeatTimer = null;
         this.repeatInterval = null;
@@ -63,10 +66,12 @@ class UIController {
         // Modals
         this.safeClick('btn-open-export', () => { this.toggleMenu(); this.toggleExportModal(); });
         this.safeClick('btn-close-export', () => this.toggleExportModal());
+        this.safeClick('btn-open-mixer', () => { this.toggleMenu(); this.toggleMixerModal(); });
+        this.safeClick('btn-close-mixer', () => this.toggleMixerModal());
         this.safeClick('btn-open-memory', () => { this.toggleMenu(); this.toggleMemoryModal(); });
         this.safeClick('btn-close-memory', () => this.toggleMemoryModal());
 
-        // CSV Actions
+        // CSV / JSON Actions
         this.safeClick('btn-gen-csv', () => {
             if(window.timeMatrix) {
                 document.getElementById('csv-io-area').value = window.timeMatrix.exportToCSV();
@@ -74,30 +79,130 @@ class UIController {
             }
         });
 
+        this.safeClick('btn-gen-json', () => {
+            document.getElementById('csv-io-area').value = window.ProjectIO.stringify(window.ProjectIO.capture());
+            if(window.logToScreen) window.logToScreen("JSON Generated");
+        });
+
+        // Accepts both formats: JSON projects ('{...}') or legacy CSV
         this.safeClick('btn-load-csv', () => {
             const area = document.getElementById('csv-io-area');
-            if(area && window.timeMatrix && window.timeMatrix.importFromCSV(area.value)) {
-                if(window.audioEngine && typeof window.audioEngine.syncWithMatrix === 'function') {
-                    window.audioEngine.syncWithMatrix(window.timeMatrix);
-                }
-                this.fullRefresh();
-                if(window.logToScreen) window.logToScreen("CSV Loaded");
+            if(!area || !window.timeMatrix) return;
+            const isJson = area.value.trim().startsWith('{');
+            // Snapshot now, history entry only if the load works (a rejected file leaves no no-op undo)
+            const history = window.historyManager;
+            const before = history ? history.capture() : null;
+            const res = window.ProjectIO.load(area.value);
+            if(res.ok) {
+                if(history) history.push(isJson ? 'Load Project' : 'Load CSV', before);
+                if(isJson) this.refreshAfterLoad();
+                else this.fullRefresh();
+                if(window.logToScreen) window.logToScreen(isJson ? "JSON Loaded" : "CSV Loaded");
                 this.toggleMemoryModal(); 
             } else {
-                if(window.logToScreen) window.logToScreen("CSV Error", 'error');
+                if(window.logToScreen) res.errors.slice(0, 5).forEach(e => window.logToScreen(`LOAD ERR: ${e}`, 'error'));
             }
         });
 
         this.safeClick('btn-download-csv', () => {
             const content = document.getElementById('csv-io-area').value;
             if(!content) return;
-            const url = URL.createObjectURL(new Blob([content], { type: 'text/csv' }));
+            const isJson = content.trim().startsWith('{');
+            const url = URL.createObjectURL(new Blob([content], { type: isJson ? 'application/json' : 'text/csv' }));
             const a = document.createElement('a');
-            a.href = url; a.download = `ND23_Patch_${Date.now()}.csv`;
+            a.href = url; a.download = `ND23_Patch_${Date.now()}.${isJson ? 'json' : 'csv'}`;
             a.click();
             URL.revokeObjectURL(url);
         });
 
+        // Project Library
+        this.safeClick('btn-project-save-as', () => {
+            const store = window.projectStore;
+            if(!store.isReady()) return;
+            const name = prompt("Project Name:", store.current ? `${store.current.name} COPY` : 'UNTITLED');
+            if(!name || !name.trim()) return;
+            store.saveAs(name.trim().toUpperCase())
+                .then(entry => { this.renderProjectLibrary(); if(window.logToScreen) window.logToScreen(`Project Saved: ${entry.name}`); })
+                .catch(e => window.logToScreen(`LIBRARY ERR: ${e}`, 'error'));
+        });
+        this.safeClick('btn-project-new', () => {
+            if(!confirm("Start a new project? The current session is kept only if saved in the library.")) return;
+            const store = window.projectStore;
+            const reset = () => location.reload();
+            if(store.isReady()) store.flush().then(() => store.clearSession()).then(reset, reset);
+            else reset();
+        });
+
+        // MIDI Import: parse, then pick targets in the import modal
+        const midiInput = document.getElementById('file-upload-midi');
+        if(midiInput) {
+            midiInput.addEventListener('change', (e) => {
+                const f = e.target.files[0];
+                if (!f) return;
+                const r = new FileReader();
+                r.onload = (ev) => {
+                    try { this.openMidiImport(window.MidiIO.parse(ev.target.result)); }
+                    catch(err) { window.logToScreen(`MIDI ERR: ${err}`, 'error'); }
+                };
+                r.readAsArrayBuffer(f);
+                midiInput.value = '';
+            });
+        }
+        this.safeClick('btn-midi-import-run', () => this.runMidiImport());
+        this.safeClick('btn-close-midi-import', () => this.toggleMidiImportModal());
+        const midiStart = document.getElementById('midi-import-start');
+        if(midiStart) midiStart.onchange = () => this.updateMidiImportLimit();
+
+        // MIDI Input
+        if(window.midiInput) {
+            window.midiInput.subscribe(() => { this.renderMidiInputMenu(); this.renderMidiClockMenu(); this.renderMidiLearn(); });
+            const dev = document.getElementById('midi-input-select');
+            if(dev) dev.onchange = (e) => window.midiInput.setSetting('deviceId', e.target.value);
+            this.safeClick('btn-midi-step-entry', () => { window.midiInput.setSetting('stepEntry', !window.midiInput.settings.stepEntry); this.renderMidiInputMenu(); });
+            const acc = document.getElementById('midi-accent-velocity');
+            if(acc) acc.onchange = (e) => {
+                const v = parseInt(e.target.value);
+                if(!isNaN(v)) window.midiInput.setSetting('accentVelocity', Math.max(1, Math.min(127, v)));
+                e.target.value = window.midiInput.settings.accentVelocity;
+            };
+            this.renderMidiInputMenu();
+        }
+
+        // MIDI Clock (ports shared with MIDI Input)
+        if(window.midiClock) {
+            const sync = document.getElementById('midi-clock-sync');
+            if(sync) sync.onchange = (e) => {
+                if(window.AppState.isPlaying) this.toggleTransport(); // Never switch clocks mid-run
+                window.midiClock.setSetting('sync', e.target.value);
+                this.renderMidiClockMenu();
+            };
+            const out = document.getElementById('midi-clock-output');
+            if(out) out.onchange = (e) => window.midiClock.setSetting('outputId', e.target.value);
+            this.renderMidiClockMenu();
+        }
+
+        // MIDI Learn (CC bindings live in the project)
+        if(window.midiLearn) {
+            const learn = window.midiLearn;
+            learn.subscribe(() => this.renderMidiLearn());
+            window.historyManager.subscribe(() => learn.queueFeedback());
+            this.safeClick('btn-midi-learn', () => learn.arm(!learn.armed));
+            this.safeClick('btn-midi-learn-clear', () => { if(learn.bindings.length && confirm("Clear all MIDI CC mappings?")) learn.clear(); });
+            const fb = document.getElementById('midi-feedback-output');
+            if(fb) fb.onchange = (e) => learn.setSetting('outputId', e.target.value);
+            // Armed: pressing a learnable control picks it instead of editing it
+            const pick = (e) => {
+                if(!learn.armed) return;
+                const target = this.getLearnTarget(e.target);
+                if(!target) return;
+                e.preventDefault();
+                e.stopPropagation();
+                if(e.type !== 'click') learn.select(target);
+            };
+            ['mousedown', 'touchstart', 'click'].forEach(t => document.addEventListener(t, pick, { capture: true, passive: false }));
+            this.renderMidiLearn();
+        }
+
         const fInput = document.getElementById('file-upload-csv');
         if(fInput) {
             fInput.addEventListener('change', (e) => {
@@ -119,34 +224,197 @@ class UIController {
                 const btn = document.getElementById('btn-start-render');
                 if(btn) { btn.innerText = "PROCESSING..."; btn.disabled = true; }
                 await new Promise(r => setTimeout(r, 50));
-                await window.audioEngine.renderAudio();
-                if(btn) { btn.innerText = "RENDER WAV"; btn.disabled = false; }
+                if(window.AppState.exportStems) await window.audioEngine.renderStems();
+                else await window.audioEngine.renderAudio();
+                if(btn) btn.disabled = false;
+                this.syncExportOptions();
             } 
         });
+
+        this.safeClick('btn-export-midi', () => {
+            const bytes = window.MidiIO.exportSong(window.AppState.exportScope === 'loop');
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+            const a = document.createElement('a');
+            a.href = url; a.download = `ND23_Song_${Date.now()}.mid`;
+            a.click();
+            URL.revokeObjectURL(url);
+            if(window.logToScreen) window.logToScreen(`MIDI Exported (${bytes.length} bytes)`);
+        });
         
         // Track Controls
         this.safeClick('btn-menu-panic', () => location.reload());
         this.safeClick('btn-menu-clear', () => { 
-            if(confirm("Clear Pattern?")) { window.timeMatrix.clearBlock(window.AppState.editingBlock); this.updateEditors(); this.toggleMenu(); }
+            if(confirm("Clear Pattern?")) { this.recordHistory('Clear Block'); window.timeMatrix.clearBlock(window.AppState.editingBlock); this.updateEditors(); this.toggleMenu(); }
         });
-        this.safeClick('btn-add-block', () => { window.timeMatrix.addBlock(); this.goToBlock(window.timeMatrix.blocks.length - 1); });
-        this.safeClick('btn-del-block', () => { if(confirm("Delete Block?")) { window.timeMatrix.removeBlock(window.AppState.editingBlock); this.fullRefresh(); }});
+        this.safeClick('btn-add-block', () => { if(!this.checkBlockRoom()) return; this.recordHistory('Add Block'); window.timeMatrix.addBlock(); this.goToBlock(window.timeMatrix.blocks.length - 1); });
+        this.safeClick('btn-dup-block', () => { if(!this.checkBlockRoom()) return; this.recordHistory('Duplicate Block'); window.timeMatrix.duplicateBlock(window.AppState.editingBlock); this.goToBlock(window.AppState.editingBlock + 1); });
+        this.safeClick('btn-del-block', () => { if(confirm("Delete Block?")) { this.recordHistory('Delete Block'); window.timeMatrix.removeBlock(window.AppState.editingBlock); this.fullRefresh(); }});
         this.safeClick('btn-mem-copy', () => window.timeMatrix.copyToClipboard(window.AppState.editingBlock));
-        this.safeClick('btn-mem-paste', () => { if(window.timeMatrix.pasteFromClipboard(window.AppState.editingBlock)) this.fullRefresh(); });
-        this.safeClick('btn-move-left', () => { if(window.timeMatrix.moveBlock(window.AppState.editingBlock, -1)) this.goToBlock(window.AppState.editingBlock - 1); });
-        this.safeClick('btn-move-right', () => { if(window.timeMatrix.moveBlock(window.AppState.editingBlock, 1)) this.goToBlock(window.AppState.editingBlock + 1); });
+        this.safeClick('btn-mem-paste', () => { if(!this.checkBlockRoom()) return; if(window.timeMatrix.clipboard) this.recordHistory('Paste Block'); if(window.timeMatrix.pasteFromClipboard(window.AppState.editingBlock)) this.fullRefresh(); });
+        this.safeClick('btn-move-left', () => this.moveEditingBlock(-1));
+        this.safeClick('btn-move-right', () => this.moveEditingBlock(1));
+
+        // Song Arrangement
+        this.safeClick('btn-song-mode', () => this.toggleSongMode());
+        this.safeClick('btn-song-add', () => this.addSongEntry());
+        this.safeClick('btn-song-rep-down', () => this.changeSongRepeats(-1));
+        this.safeClick('btn-song-rep-up', () => this.changeSongRepeats(1));
+        this.safeClick('btn-song-left', () => this.moveSongEntry(-1));
+        this.safeClick('btn-song-right', () => this.moveSongEntry(1));
+        this.safeClick('btn-song-loop', () => this.editSongEntry('Song Loop', (tm, i) => tm.toggleSongMarker('loopMarker', i)));
+        this.safeClick('btn-song-end', () => this.editSongEntry('Song End', (tm, i) => tm.toggleSongMarker('endMarker', i)));
+        this.safeClick('btn-song-jump', () => this.toggleSongJump());
+        this.safeClick('btn-song-del', () => this.editSongEntry('Remove Song Entry', (tm, i) => tm.removeSongEntry(i)));
+
+        // Block Length
+        const lenSel = document.getElementById('block-length-select');
+        if(lenSel) {
+            lenSel.innerHTML = window.timeMatrix.lengthOptions.map(l => `<option value="${l}">${l}</option>`).join('');
+            lenSel.onchange = (e) => this.setBlockLength(parseInt(e.target.value));
+        }
+
+        // History
+        this.safeClick('btn-undo', () => this.undo());
+        this.safeClick('btn-redo', () => this.redo());
+        document.addEventListener('keydown', (e) => this.handleHistoryKeys(e));
+        if(window.historyManager) window.historyManager.subscribe(() => this.updateHistoryButtons());
+        this.updateHistoryButtons();
 
         const bpm = document.getElementById('bpm-input');
-        if(bpm) bpm.onchange = (e) => window.AppState.bpm = e.target.value;
+        if(bpm) bpm.onchange = (e) => {
+            const val = window.timeMatrix.clampBpm(e.target.value);
+            if(!isNaN(val) && val !== window.AppState.bpm) { this.recordHistory('Tempo'); window.AppState.bpm = val; }
+            e.target.value = window.AppState.bpm;
+            this.renderTrackBar();
+        };
+
+        // Block Tempo (empty = song tempo) & Ramp
+        const blockBpm = document.getElementById('block-bpm-input');
+        if(blockBpm) blockBpm.onchange = (e) => this.setBlockTempo(e.target.value.trim());
+        this.safeClick('btn-block-ramp', () => this.toggleBlockRamp());
+
+        // Groove (empty per-track field = follow global swing)
+        const bindSwing = (id, key, allowEmpty) => {
+            const el = document.getElementById(id);
+            if(!el) return;
+            el.onchange = (e) => {
+                const raw = e.target.value.trim();
+                const val = (allowEmpty && raw === '') ? null : Math.max(0, Math.min(100, parseInt(raw) || 0));
+                this.recordHistory('Swing');
+                window.AppState[key] = val;
+                this.syncGrooveControls();
+            };
+        };
+        bindSwing('swing-input', 'swing', false);
+        bindSwing('swing-bass-input', 'swingBass', true);
+        bindSwing('swing-drums-input', 'swingDrums', true);
+
+        // Send FX Buses
+        const division = document.getElementById('send-delay-division');
+        if(division) division.innerHTML = window.SendFx.DIVISIONS.map(d => `<option value="${d[0]}">${d[1]}</option>`).join('');
+        const bindSend = (id, bus, key) => {
+            const el = document.getElementById(id);
+            if(!el) return;
+            el.onchange = (e) => {
+                const val = Math.max(0, Math.min(100, parseInt(e.target.value) || 0));
+                this.recordHistory('Send FX');
+                if(bus === 'delay') window.audioEngine.sendFx.setDelay(key, val);
+                else window.audioEngine.sendFx.setReverb(key, val);
+                this.syncSendFxControls();
+            };
+        };
+        bindSend('send-delay-division', 'delay', 'division');
+        bindSend('send-delay-feedback', 'delay', 'feedback');
+        bindSend('send-delay-tone', 'delay', 'tone');
+        bindSend('send-delay-level', 'delay', 'level');
+        bindSend('send-reverb-size', 'reverb', 'size');
+        bindSend('send-reverb-damp', 'reverb', 'damp');
+        bindSend('send-reverb-level', 'reverb', 'level');
+        this.syncSendFxControls();
+
+        // Master Bus
+        const preset = document.getElementById('master-preset-select');
+        if(preset) {
+            preset.innerHTML = '<option value="">LOAD...</option>' + Object.keys(window.MasterBus.PRESETS).map(n => `<option value="${n}">${n}</option>`).join('');
+            preset.onchange = (e) => {
+                const name = e.target.value;
+                e.target.value = '';
+                if(!name) return;
+                this.recordHistory('Master Preset');
+                window.audioEngine.masterBus.applySettings(window.MasterBus.PRESETS[name]);
+                this.renderMasterControls();
+                if(window.logToScreen) window.logToScreen(`MASTER: ${name}`);
+            };
+        }
+        this.renderMasterControls();
+
+        // Trig Conditions
+        this.safeClick('btn-fill', () => this.toggleFill());
+        const seed = document.getElementById('render-seed-input');
+        if(seed) {
+            seed.value = window.AppState.renderSeed;
+            seed.onchange = (e) => {
+                const val = parseInt(e.target.value) || 0;
+                seed.value = val;
+                if(val === window.AppState.renderSeed) return;
+                this.recordHistory('Render Seed');
+                window.AppState.renderSeed = val;
+            };
+        }
 
         // Export Reps
-        document.querySelectorAll('.btn-option').forEach(btn => {
+        document.querySelectorAll('.btn-option[data-rep]').forEach(btn => {
             btn.onclick = () => {
-                document.querySelectorAll('.btn-option').forEach(b => b.classList.remove('active'));
+                document.querySelectorAll('.btn-option[data-rep]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 window.AppState.exportReps = parseInt(btn.dataset.rep);
+                this.savePrefs();
+            };
+        });
+
+        // Export Range (whole song / transport loop)
+        document.querySelectorAll('.btn-option[data-scope]').forEach(btn => {
+            btn.onclick = () => {
+                document.querySelectorAll('.btn-option[data-scope]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                window.AppState.exportScope = btn.dataset.scope;
+                this.savePrefs();
             };
         });
+
+        // Export Output (stereo mix / stems and their options)
+        document.querySelectorAll('.btn-option[data-stems], .btn-option[data-stem-drums], .btn-option[data-stem-chain]').forEach(btn => {
+            btn.onclick = () => {
+                const st = window.AppState;
+                if(btn.dataset.stems) st.exportStems = btn.dataset.stems === 'stems';
+                if(btn.dataset.stemDrums) st.stemDrums = btn.dataset.stemDrums;
+                if(btn.dataset.stemChain) st.stemChain = btn.dataset.stemChain;
+                this.syncExportOptions();
+                this.savePrefs();
+            };
+        });
+
+        // Export Quality (bit depth, sample rate, normalize, dither, tail)
+        document.querySelectorAll('.btn-option[data-bits], .btn-option[data-rate]').forEach(btn => {
+            btn.onclick = () => {
+                if(btn.dataset.bits) window.AppState.exportBits = parseInt(btn.dataset.bits);
+                if(btn.dataset.rate) window.AppState.exportRate = parseInt(btn.dataset.rate);
+                this.syncExportOptions();
+                this.savePrefs();
+            };
+        });
+        this.safeClick('btn-export-dither', () => { window.AppState.exportDither = !window.AppState.exportDither; this.syncExportOptions(); this.savePrefs(); });
+        const norm = document.getElementById('export-normalize');
+        if(norm) norm.onchange = (e) => { window.AppState.exportNormalize = e.target.value === '' ? null : parseFloat(e.target.value); this.savePrefs(); };
+        const tail = document.getElementById('export-tail');
+        if(tail) tail.onchange = (e) => { window.AppState.exportTail = e.target.value === 'auto' ? 'auto' : parseFloat(e.target.value); this.savePrefs(); };
+        this.syncExportOptions();
+
+        // Loop Mode
+        this.safeClick('btn-loop-mode', () => this.cycleLoopMode());
+        this.safeClick('btn-auto-rec', () => this.toggleAutoRecord());
+        this.safeClick('btn-loop-in', () => this.setLoopPoint('loopStart'));
+        this.safeClick('btn-loop-out', () => this.setLoopPoint('loopEnd'));
         
         // Logs
         const logPanel = document.getElementById('sys-log-panel');
@@ -164,6 +432,7 @@ class UIController {
         // Add Synth
         this.safeClick('btn-add-synth', () => {
             if(window.audioEngine) {
+                this.recordHistory('Add Synth');
                 const s = window.audioEngine.addBassSynth(`bass-${window.audioEngine.bassSynths.length + 1}`);
                 if(s) { this.renderSynthMenu(); this.renderInstrumentTabs(); this.setTab(s.id); }
             }
@@ -175,9 +444,7 @@ class UIController {
             const el = document.getElementById(id);
             if(el) el.oninput = (e) => this.handleParamChange(param, parseInt(e.target.value));
         };
-        ['vol','dist','cutoff','res','env','dec','acc','tone','dgain'].forEach(p => {
-            bindSlider(`${p}-slider`, p === 'vol' ? 'volume' : p === 'dist' ? 'distortion' : p === 'res' ? 'resonance' : p === 'env' ? 'envMod' : p === 'dec' ? 'decay' : p === 'acc' ? 'accentInt' : p === 'tone' ? 'distTone' : p === 'dgain' ? 'distGain' : p);
-        });
+        Object.keys(UIController.FX_PARAMS).forEach(p => bindSlider(`${p}-slider`, UIController.FX_PARAMS[p]));
 
         this.setupDigitalRepeaters();
         this.safeClick('btn-waveform', () => this.toggleWaveform());
@@ -190,14 +457,25 @@ class UIController {
         this.safeClick('btn-toggle-view-fx', (e) => { e.stopPropagation(); this.toggleSubPanel('fx'); });
 
         const octD = document.getElementById('oct-display');
-        this.safeClick('oct-up', () => { if(window.AppState.currentOctave < 6) { window.AppState.currentOctave++; octD.innerText = window.AppState.currentOctave; }});
-        this.safeClick('oct-down', () => { if(window.AppState.currentOctave > 1) { window.AppState.currentOctave--; octD.innerText = window.AppState.currentOctave; }});
+        this.safeClick('oct-up', () => { if(window.AppState.currentOctave < 6) { window.AppState.currentOctave++; octD.innerText = window.AppState.currentOctave; this.savePrefs(); }});
+        this.safeClick('oct-down', () => { if(window.AppState.currentOctave > 1) { window.AppState.currentOctave--; octD.innerText = window.AppState.currentOctave; this.savePrefs(); }});
 
         this.safeClick('btn-toggle-slide', () => this.toggleNoteMod('slide'));
         this.safeClick('btn-toggle-accent', () => this.toggleNoteMod('accent'));
+        this.safeClick('btn-cycle-gate', () => this.cycleGate());
+        this.safeClick('btn-toggle-lock', () => this.toggleLockEdit());
+        this.safeClick('btn-clear-locks', () => this.clearStepLocks());
+
+        const condSel = document.getElementById('cond-select');
+        if(condSel) {
+            condSel.innerHTML = this.condOptionsHTML('');
+            condSel.onchange = (e) => this.setNoteCondition(e.target.value);
+        }
         this.safeClick('btn-delete-note', () => {
             if(window.AppState.activeView !== 'drum') {
                 const b = window.timeMatrix.blocks[window.AppState.editingBlock];
+                if(!b.tracks[window.AppState.activeView][window.AppState.selectedStep]) return;
+                this.recordHistory('Clear Note');
                 b.tracks[window.AppState.activeView][window.AppState.selectedStep] = null;
                 this.updateEditors();
             }
@@ -217,14 +495,16 @@ class UIController {
     
     setTab(v) {
         window.AppState.activeView = v;
+        this.savePrefs();
         this.renderInstrumentTabs();
         this.updateEditors();
         this.syncControls(v);
     }
 
-    handleParamChange(param, value) {
+    // synthId: MIDI CC bindings drive their own synth, the rack drives the active one
+    handleParamChange(param, value, synthId = window.AppState.activeView) {
         if(!window.audioEngine) return;
-        const synth = window.audioEngine.getSynth(window.AppState.activeView);
+        const synth = window.audioEngine.getSynth(synthId);
         if(!synth) return;
 
         let finalValue = value;
@@ -232,6 +512,22 @@ class UIController {
             finalValue = ((Math.max(100, Math.min(5000, value)) - 100) / 4900) * 100;
         }
 
+        // Automation: armed + playing captures the move at the song position
+        if(this.isAutomationRecording() && window.BassSynth.LOCKABLE.includes(param)) {
+            this.recordAutomation(`${synth.id}:${param}`, finalValue);
+            this.syncControls(synth.id);
+            return;
+        }
+
+        // P-LOCK: the control writes into the selected step instead of the synth
+        if(window.AppState.lockEdit && window.BassSynth.LOCKABLE.includes(param)) {
+            this.setStepLock(synth.id, param, finalValue);
+            return;
+        }
+
+        // Slider drags / repeater holds coalesce into a single history entry
+        this.recordHistory(`Edit ${param}`, `param:${synth.id}:${param}`);
+
         if(param === 'volume') synth.setVolume(finalValue);
         else if(param === 'distortion') synth.setDistortion(finalValue);
         else if(param === 'cutoff') synth.setCutoff(finalValue);
@@ -241,6 +537,8 @@ class UIController {
         else if(param === 'accentInt') synth.setAccentInt(finalValue);
         else if(param === 'distTone') synth.setDistTone(finalValue);
         else if(param === 'distGain') synth.setDistGain(finalValue);
+        else if(param === 'sendDelay') synth.setSendDelay(finalValue);
+        else if(param === 'sendReverb') synth.setSendReverb(finalValue);
 
         this.syncControls(window.AppState.activeView);
     }
@@ -250,38 +548,516 @@ class UIController {
         const sId = window.AppState.activeView;
         if(window.audioEngine) window.audioEngine.previewNote(sId, note, window.AppState.currentOctave);
 
+        this.recordHistory('Place Note');
         const block = window.timeMatrix.blocks[window.AppState.editingBlock];
         if(!block.tracks[sId]) window.timeMatrix.registerTrack(sId);
         
         const prev = block.tracks[sId][window.AppState.selectedStep];
         block.tracks[sId][window.AppState.selectedStep] = { 
             note: note, octave: window.AppState.currentOctave, 
-            slide: prev ? prev.slide : false, accent: prev ? prev.accent : false 
+            slide: prev ? prev.slide : false, accent: prev ? prev.accent : false,
+            gate: prev && prev.gate ? prev.gate : 'normal',
+            cond: prev && prev.cond ? prev.cond : ''
         };
+        if(prev && prev.locks) block.tracks[sId][window.AppState.selectedStep].locks = { ...prev.locks };
         this.updateEditors();
     }
 
     toggleNoteMod(prop) {
         if(window.AppState.activeView === 'drum') return;
         const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
-        if(note) { note[prop] = !note[prop]; this.updateEditors(); }
+        if(note) { this.recordHistory(`Toggle ${prop}`); note[prop] = !note[prop]; this.updateEditors(); }
+    }
+
+    cycleGate() {
+        if(window.AppState.activeView === 'drum') return;
+        const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
+        if(!note) return;
+        const order = window.BassSynth.GATE_ORDER;
+        this.recordHistory('Gate');
+        note.gate = order[(order.indexOf(note.gate || 'normal') + 1) % order.length];
+        this.updateEditors();
+    }
+
+    setNoteCondition(cond) {
+        if(window.AppState.activeView === 'drum') return;
+        const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
+        if(!note) { this.updateEditors(); return; }
+        this.recordHistory('Condition');
+        note.cond = cond;
+        this.updateEditors();
+    }
+
+    // --- PARAMETER LOCKS ---
+    getSelectedNote(synthId = window.AppState.activeView) {
+        const b = window.timeMatrix.blocks[window.AppState.editingBlock];
+        return (b && b.tracks[synthId]) ? b.tracks[synthId][window.AppState.selectedStep] : null;
+    }
+
+    // Values the synth controls show/edit: the step's locks on top of the synth params in P-LOCK mode,
+    // the values just recorded while automation recording
+    getEditParams(synth) {
+        if(this.isAutomationRecording()) {
+            const touched = {};
+            Object.keys(this.autoTouch).forEach(k => { if(k.startsWith(`${synth.id}:`)) touched[k.slice(synth.id.length + 1)] = this.autoTouch[k]; });
+            return { ...synth.params, ...touched };
+        }
+        const note = window.AppState.lockEdit ? this.getSelectedNote(synth.id) : null;
+        return (note && note.locks) ? { ...synth.params, ...note.locks } : synth.params;
+    }
+
+    setStepLock(synthId, param, value) {
+        const st = window.AppState;
+        const note = this.getSelectedNote(synthId);
+        if(!note) {
+            if(window.logToScreen) window.logToScreen("P-LOCK: Select a step with a note", 'warn');
+            this.syncControls(synthId);
+            return;
+        }
+        this.recordHistory(`Lock ${param}`, `lock:${synthId}:${st.editingBlock}:${st.selectedStep}:${param}`);
+        note.locks = note.locks || {};
+        note.locks[param] = Math.round(value * 100) / 100;
+        this.syncControls(synthId);
+        window.timeMatrix.render(st.activeView, st.editingBlock);
+    }
+
+    // --- AUTOMATION ---
+    isAutomationRecording() { return !!(window.AppState.autoRecord && window.AppState.isPlaying); }
+
+    toggleAutoRecord() {
+        window.AppState.autoRecord = !window.AppState.autoRecord;
+        this.autoTouch = {};
+        const btn = document.getElementById('btn-auto-rec');
+        if(btn) btn.classList.toggle('active', window.AppState.autoRecord);
+        if(window.logToScreen) window.logToScreen(`AUTOMATION REC: ${window.AppState.autoRecord ? 'ARMED' : 'OFF'}`);
+    }
+
+    // Stores a value at the audible step (the scheduler runs ahead of what is heard)
+    recordAutomation(key, value) {
+        const st = window.AppState;
+        const pos = this.playhead || { block: st.currentPlayBlock, step: st.currentPlayStep };
+        this.recordHistory('Record Automation', `auto:${key}`);
+        const v = Math.round(value * 100) / 100;
+        window.timeMatrix.setAutomationPoint(pos.block, key, pos.step, v);
+        this.autoTouch[key] = v;
+    }
+
+    clearAutomationLane(key) {
+        this.recordHistory('Clear Automation');
+        window.timeMatrix.clearAutomation(key);
+        this.renderAutomationList();
+        if(window.logToScreen) window.logToScreen(`AUTOMATION CLEARED: ${this.automationLabel(key)}`);
+    }
+
+    automationLabel(key) {
+        const [target, param] = key.split(':');
+        if(target !== 'drums') return `${target} ${param}`.toUpperCase();
+        const ch = param === 'master' ? null : window.drumSynth && window.drumSynth.channels[parseInt(param)];
+        return `DRUMS ${ch ? ch.name : 'MASTER'} VOL`;
+    }
+
+    // Lanes of the whole project, previewed on the editing block
+    renderAutomationList() {
+        const c = document.getElementById('automation-list');
+        if(!c) return;
+        c.innerHTML = '';
+        const tm = window.timeMatrix;
+        const keys = tm.getAutomationKeys();
+        if(keys.length === 0) { c.innerHTML = '<div class="auto-empty">NO LANES - ARM REC AND PLAY</div>'; return; }
+
+        const blockIdx = window.AppState.editingBlock;
+        keys.forEach(key => {
+            const max = key.endsWith(':resonance') ? 20 : 100;
+            const used = tm.blocks.filter(b => b.automation && b.automation[key]).length;
+            const steps = tm.getBlockLength(blockIdx);
+            let bars = '';
+            for(let s = 0; s < steps; s++) {
+                const v = tm.getAutomationValue(blockIdx, key, s);
+                const point = tm.blocks[blockIdx].automation && tm.blocks[blockIdx].automation[key] && tm.blocks[blockIdx].automation[key][s] !== null;
+                bars += `<span class="auto-bar ${point ? 'point' : ''}" style="height:${v === null ? 0 : Math.max(4, (v / max) * 100)}%"></span>`;
+            }
+            const r = document.createElement('div');
+            r.className = 'menu-item-row auto-row';
+            r.innerHTML = `<span class="auto-label">${this.automationLabel(key)} <span class="text-dim">${used} BLK</span></span><div class="auto-lane">${bars}</div>`;
+            const del = document.createElement('button');
+            del.className = 'btn-icon-del';
+            del.title = 'Clear Lane';
+            del.innerText = 'X';
+            del.onclick = () => this.clearAutomationLane(key);
+            r.appendChild(del);
+            c.appendChild(r);
+        });
+    }
+
+    toggleLockEdit() {
+        window.AppState.lockEdit = !window.AppState.lockEdit;
+        this.updateEditors();
+        this.syncControls(window.AppState.activeView);
+    }
+
+    clearStepLocks() {
+        if(window.AppState.activeView === 'drum') return;
+        const note = this.getSelectedNote();
+        if(!note || !note.locks) return;
+        this.recordHistory('Clear Locks');
+        delete note.locks;
+        this.updateEditors();
+        this.syncControls(window.AppState.activeView);
+    }
+
+    condOptionsHTML(selected) {
+        return window.TrigConditions.OPTIONS.map(([code, label]) => `<option value="${code}" ${code === (selected || '') ? 'selected' : ''}>${label}</option>`).join('');
+    }
+
+    toggleFill() {
+        window.AppState.fillActive = !window.AppState.fillActive;
+        const btn = document.getElementById('btn-fill');
+        if(btn) btn.classList.toggle('active', window.AppState.fillActive);
+    }
+
+    cycleLoopMode() {
+        const modes = ['song', 'block', 'range'];
+        const st = window.AppState;
+        st.loopMode = modes[(modes.indexOf(st.loopMode) + 1) % modes.length];
+        this.savePrefs();
+        this.syncLoopControls();
+        this.renderTrackBar();
+    }
+
+    // Sets the loop range start/end to the editing block and switches to range looping
+    setLoopPoint(point) {
+        const st = window.AppState;
+        st[point] = st.editingBlock;
+        if(point === 'loopStart' && st.loopEnd < st.loopStart) st.loopEnd = st.loopStart;
+        if(point === 'loopEnd' && st.loopStart > st.loopEnd) st.loopStart = st.loopEnd;
+        st.loopMode = 'range';
+        this.savePrefs();
+        this.syncLoopControls();
+        this.renderTrackBar();
+        if(window.logToScreen) window.logToScreen(`LOOP RANGE: ${st.loopStart + 1}-${st.loopEnd + 1}`);
+    }
+
+    syncLoopControls() {
+        const btn = document.getElementById('btn-loop-mode');
+        if(!btn) return;
+        const mode = window.AppState.loopMode;
+        btn.innerText = mode.toUpperCase();
+        btn.classList.toggle('loop-block', mode === 'block');
+        btn.classList.toggle('loop-range', mode === 'range');
     }
 
     toggleWaveform() {
         const s = window.audioEngine.getSynth(window.AppState.activeView);
-        if(s) { s.setWaveform(s.params.waveform === 'sawtooth' ? 'square' : 'sawtooth'); this.syncControls(s.id); }
+        if(s) { this.recordHistory('Toggle Waveform'); s.setWaveform(s.params.waveform === 'sawtooth' ? 'square' : 'sawtooth'); this.syncControls(s.id); }
     }
 
-    toggleTransport() {
-        const playing = window.audioEngine.toggleTransport();
+    toggleTransport() { this.syncTransport(window.audioEngine.toggleTransport()); }
+
+    // Play button and editor state after the transport changed (button, logo or external MIDI clock)
+    syncTransport(playing) {
         const btn = document.getElementById('btn-play');
         if(playing) { btn.innerHTML = "&#10074;&#10074;"; btn.classList.add('playing'); }
-        else { btn.innerHTML = "&#9658;"; btn.classList.remove('playing'); window.timeMatrix.highlightPlayingStep(-1); this.renderTrackBar(); }
+        else {
+            btn.innerHTML = "&#9658;"; btn.classList.remove('playing'); window.timeMatrix.highlightPlayingStep(-1); this.renderTrackBar();
+            // Controls drop the recorded overlay and show the stored values again
+            if(window.AppState.autoRecord) { this.autoTouch = {}; this.syncControls(window.AppState.activeView); this.renderAutomationList(); }
+        }
+        this.playhead = null;
     }
 
-    toggleMenu() { document.getElementById('main-menu').classList.toggle('hidden'); }
+    toggleMenu() { document.getElementById('main-menu').classList.toggle('hidden'); this.renderAutomationList(); this.renderProjectLibrary(); }
     toggleExportModal() { document.getElementById('export-modal').classList.toggle('hidden'); }
     toggleMemoryModal() { document.getElementById('memory-modal').classList.toggle('hidden'); }
+    toggleMidiImportModal() { document.getElementById('midi-import-modal').classList.toggle('hidden'); }
+    toggleMixerModal() { document.getElementById('mixer-modal').classList.toggle('hidden'); this.renderMixer(); }
+
+    // --- MIXER ---
+    // Strip keys follow the automation lanes: '<synthId>' or 'drums:<channelId>'
+    getMixerStrip(key) {
+        if(key.startsWith('drums:')) return window.drumSynth ? window.drumSynth.channels[parseInt(key.slice(6))] : null;
+        return window.audioEngine.getSynth(key);
+    }
+
+    setMixerPan(key, val) {
+        const strip = this.getMixerStrip(key);
+        if(!strip) return;
+        this.recordHistory('Pan', `pan:${key}`);
+        if(key.startsWith('drums:')) window.drumSynth.setChannelPan(strip.id, val);
+        else strip.setPan(val);
+    }
+
+    // field: 'source' (drum channel, -1 = off) | 'depth' (%) | 'attack' / 'release' (ms)
+    setMixerSidechain(key, field, val) {
+        const strip = this.getMixerStrip(key);
+        if(!strip || isNaN(val)) return;
+        const limits = window.Ducker.LIMITS[field];
+        this.recordHistory('Sidechain', `sc:${key}:${field}`);
+        const cfg = key.startsWith('drums:') ? strip.sidechain : strip.params.sidechain;
+        cfg[field] = Math.max(limits[0], Math.min(limits[1], val));
+    }
+
+    // Mute/Solo are live switches: no history entry, pattern data untouched
+    toggleMixerSwitch(key, flag) {
+        const strip = this.getMixerStrip(key);
+        if(!strip) return;
+        strip[flag] = !strip[flag];
+        window.audioEngine.applyMix();
+        if(window.projectStore) window.projectStore.scheduleAutosave();
+        this.renderMixer();
+        this.renderInstrumentTabs();
+    }
+
+    renderMixer() {
+        const c = document.getElementById('mixer-strips');
+        if(!c || !window.audioEngine) return;
+        c.innerHTML = '';
+        const strips = window.audioEngine.bassSynths.map(s => ({ key: s.id, name: s.id.toUpperCase(), pan: s.params.pan, sc: s.params.sidechain, strip: s, color: 'var(--c-green)' }));
+        const drums = window.drumSynth ? window.drumSynth.channels : [];
+        drums.forEach(ch => {
+            strips.push({ key: `drums:${ch.id}`, name: ch.name, pan: ch.pan, sc: ch.sidechain, strip: ch, color: window.drumSynth.channelColors[ch.colorId % 9] });
+        });
+        const soloActive = strips.some(st => st.strip.solo);
+
+        strips.forEach(st => {
+            const row = document.createElement('div');
+            const silenced = st.strip.mute || (soloActive && !st.strip.solo);
+            row.className = `mixer-strip ${silenced ? 'silenced' : ''}`;
+            row.style.borderLeftColor = st.color;
+            row.innerHTML = `
+                <span class="mixer-name"></span>
+                <input type="range" class="mixer-pan" min="-100" max="100" value="${st.pan}" title="Pan (double-click = center)">
+                <span class="mixer-pan-val">${st.pan}</span>
+                <button class="btn-mix mute ${st.strip.mute ? 'active' : ''}">M</button>
+                <button class="btn-mix solo ${st.strip.solo ? 'active' : ''}">S</button>
+                <div class="mixer-sc">
+                    <span class="mixer-sc-label">SC</span>
+                    <select class="variant-select mixer-sc-src" title="Sidechain Key (Drum Channel)">
+                        <option value="-1">OFF</option>
+                        ${drums.filter(ch => `drums:${ch.id}` !== st.key).map(ch => `<option value="${ch.id}" ${st.sc.source === ch.id ? 'selected' : ''}>${ch.name}</option>`).join('')}
+                    </select>
+                    <input type="number" class="input-send" data-sc="depth" min="0" max="100" value="${st.sc.depth}" title="DEPTH (%)">
+                    <input type="number" class="input-send" data-sc="attack" min="0" max="200" value="${st.sc.attack}" title="ATTACK (ms)">
+                    <input type="number" class="input-send" data-sc="release" min="10" max="1000" value="${st.sc.release}" title="RELEASE (ms)">
+                </div>
+            `;
+            row.querySelector('.mixer-name').textContent = st.name;
+            const pan = row.querySelector('.mixer-pan'), val = row.querySelector('.mixer-pan-val');
+            const setPan = (v) => { this.setMixerPan(st.key, v); pan.value = v; val.innerText = v; };
+            pan.oninput = (e) => setPan(parseInt(e.target.value));
+            pan.ondblclick = () => setPan(0);
+            row.querySelector('.mute').onclick = () => this.toggleMixerSwitch(st.key, 'mute');
+            row.querySelector('.solo').onclick = () => this.toggleMixerSwitch(st.key, 'solo');
+            row.querySelector('.mixer-sc-src').onchange = (e) => this.setMixerSidechain(st.key, 'source', parseInt(e.target.value));
+            row.querySelectorAll('[data-sc]').forEach(input => {
+                input.onchange = (e) => { this.setMixerSidechain(st.key, input.dataset.sc, parseInt(e.target.value)); e.target.value = st.sc[input.dataset.sc]; };
+            });
+            c.appendChild(row);
+        });
+    }
+
+    moveEditingBlock(dir) {
+        const idx = window.AppState.editingBlock;
+        const target = idx + dir;
+        if(target < 0 || target >= window.timeMatrix.blocks.length) return;
+        this.recordHistory('Move Block');
+        if(window.timeMatrix.moveBlock(idx, dir)) this.goToBlock(target);
+    }
+
+    setBlockLength(steps) {
+        const idx = window.AppState.editingBlock;
+        if(window.timeMatrix.getBlockLength(idx) === steps) return;
+        this.recordHistory('Block Length');
+        window.timeMatrix.setBlockLength(idx, steps);
+        this.updateEditors();
+        this.renderTrackBar();
+    }
+
+    // --- SONG ARRANGEMENT ---
+    toggleSongMode() {
+        const song = window.timeMatrix.song;
+        this.recordHistory('Song Mode');
+        song.enabled = !song.enabled;
+        // An empty arrangement starts from the current block pool order
+        if(song.enabled && song.entries.length === 0) window.timeMatrix.blocks.forEach((b, i) => window.timeMatrix.addSongEntry(i));
+        if(window.logToScreen) window.logToScreen(`SONG MODE: ${song.enabled ? 'ON' : 'OFF'}`);
+        this.renderTrackBar();
+    }
+
+    addSongEntry() {
+        this.recordHistory('Add Song Entry');
+        const tm = window.timeMatrix;
+        const at = tm.song.entries.length ? window.AppState.selectedSongEntry + 1 : 0;
+        if(tm.addSongEntry(window.AppState.editingBlock, 1, at)) window.AppState.selectedSongEntry = at;
+        this.renderTrackBar();
+    }
+
+    // Runs an edit on the selected entry: fn(timeMatrix, index)
+    editSongEntry(label, fn) {
+        const tm = window.timeMatrix;
+        const idx = window.AppState.selectedSongEntry;
+        if(!tm.song.entries[idx]) return;
+        this.recordHistory(label);
+        fn(tm, idx);
+        this.selectSongEntry(Math.min(idx, tm.song.entries.length - 1));
+    }
+
+    changeSongRepeats(delta) {
+        const e = window.timeMatrix.song.entries[window.AppState.selectedSongEntry];
+        if(!e || e.repeats + delta < 1 || e.repeats + delta > 99) return;
+        this.editSongEntry('Song Repeats', (tm, i) => tm.setSongRepeats(i, e.repeats + delta));
+    }
+
+    moveSongEntry(dir) {
+        const idx = window.AppState.selectedSongEntry;
+        const target = idx + dir;
+        if(target < 0 || target >= window.timeMatrix.song.entries.length) return;
+        this.recordHistory('Move Song Entry');
+        if(window.timeMatrix.moveSongEntry(idx, dir)) this.selectSongEntry(target);
+    }
+
+    // JUMP: asks for the entry played after the selected one; on an entry that already jumps, removes it
+    toggleSongJump() {
+        const tm = window.timeMatrix;
+        const e = tm.song.entries[window.AppState.selectedSongEntry];
+        if(!e) return;
+        let target = null;
+        if(e.jump === null || e.jump === undefined) {
+            const raw = prompt(`Jump To Entry (1-${tm.song.entries.length}):`, '1');
+            target = parseInt(raw) - 1;
+            if(!tm.song.entries[target]) return;
+        }
+        this.editSongEntry('Song Jump', (t, i) => t.setSongJump(i, target));
+    }
+
+    selectSongEntry(i) {
+        const e = window.timeMatrix.song.entries[i];
+        window.AppState.selectedSongEntry = Math.max(0, i);
+        // Selecting an entry opens its block in the editor
+        if(e) this.goToBlock(e.block); else this.renderTrackBar();
+    }
+
+    renderSongBar() {
+        const c = document.getElementById('song-bar');
+        if(!c) return;
+        const tm = window.timeMatrix;
+        const song = tm.song;
+        const st = window.AppState;
+        c.innerHTML = '';
+
+        const modeBtn = document.getElementById('btn-song-mode');
+        if(modeBtn) { modeBtn.innerText = song.enabled ? 'ON' : 'OFF'; modeBtn.classList.toggle('active', song.enabled); }
+
+        if(song.entries.length === 0) { c.innerHTML = '<span class="song-empty">EMPTY - "+" APPENDS THE EDITING BLOCK</span>'; return; }
+        if(st.selectedSongEntry >= song.entries.length) st.selectedSongEntry = song.entries.length - 1;
+
+        const end = tm.getSongEnd();
+        // Entry heard right now (the scheduler's position runs ahead of the audio)
+        const heard = this.playingEntry !== undefined ? this.playingEntry : st.currentSongEntry;
+        const playingEntry = st.isPlaying && tm.isSongActive() ? heard : -1;
+        song.entries.forEach((e, i) => {
+            const el = document.createElement('div');
+            let classes = 'chain-block';
+            if(i === st.selectedSongEntry) classes += ' editing';
+            if(i === playingEntry) classes += ' playing';
+            if(i === song.loopMarker) classes += ' song-loop';
+            if(i === song.endMarker) classes += ' song-end';
+            if(i > end) classes += ' song-muted';
+            el.className = classes;
+            el.innerText = e.block + 1;
+            if(e.repeats > 1) el.innerHTML += `<span class="song-rep">x${e.repeats}</span>`;
+            if(e.jump !== null && e.jump !== undefined) el.innerHTML += `<span class="song-jump">&rarr;${e.jump + 1}</span>`;
+            el.onclick = () => this.selectSongEntry(i);
+            c.appendChild(el);
+        });
+    }
+
+    // --- TEMPO MAP ---
+    setBlockTempo(raw) {
+        const idx = window.AppState.editingBlock;
+        const b = window.timeMatrix.blocks[idx];
+        const val = raw === '' ? null : window.timeMatrix.clampBpm(raw);
+        if(b && !Number.isNaN(val) && val !== b.bpm) {
+            this.recordHistory('Block Tempo');
+            window.timeMatrix.setBlockTempo(idx, val);
+        }
+        this.renderTrackBar();
+    }
+
+    toggleBlockRamp() {
+        const idx = window.AppState.editingBlock;
+        const b = window.timeMatrix.blocks[idx];
+        if(!b) return;
+        this.recordHistory('Tempo Ramp');
+        window.timeMatrix.setBlockRamp(idx, !b.ramp);
+        this.renderTrackBar();
+    }
+
+    // --- HISTORY (UNDO / REDO) ---
+    checkBlockRoom() {
+        if(window.timeMatrix.canAddBlock()) return true;
+        window.logToScreen(`BLOCK LIMIT: ${window.TimeMatrix.MAX_BLOCKS} blocks per song`, 'warn');
+        return false;
+    }
+
+    recordHistory(label, coalesceKey = null) {
+        if(window.historyManager) window.historyManager.record(label, coalesceKey);
+    }
+
+    // UI prefs are saved with the project but are not undoable edits: autosave only
+    savePrefs() {
+        if(window.projectStore) window.projectStore.scheduleAutosave();
+    }
+
+    undo() {
+        if(!window.historyManager) return;
+        const label = window.historyManager.undo();
+        if(label) { this.refreshAfterHistory(); if(window.logToScreen) window.logToScreen(`UNDO: ${label}`); }
+    }
+
+    redo() {
+        if(!window.historyManager) return;
+        const label = window.historyManager.redo();
+        if(label) { this.refreshAfterHistory(); if(window.logToScreen) window.logToScreen(`REDO: ${label}`); }
+    }
+
+    refreshAfterHistory() {
+        // Restored state may have fewer blocks or synths than the current view
+        const blocks = window.timeMatrix.blocks.length;
+        if(window.AppState.editingBlock >= blocks) window.AppState.editingBlock = blocks - 1;
+        if(window.AppState.activeView !== 'drum' && !window.audioEngine.getSynth(window.AppState.activeView)) {
+            window.AppState.activeView = window.audioEngine.bassSynths[0].id;
+        }
+        this.updateEditors();
+        this.renderTrackBar();
+        this.renderInstrumentTabs();
+        this.renderSynthMenu();
+        this.renderDrumConfigMenu();
+        this.syncControls(window.AppState.activeView);
+        this.syncGrooveControls();
+        const seed = document.getElementById('render-seed-input');
+        if(seed) seed.value = window.AppState.renderSeed;
+        this.syncSendFxControls();
+        this.renderMasterControls();
+        this.renderAutomationList();
+        this.renderMixer();
+    }
+
+    updateHistoryButtons() {
+        const u = document.getElementById('btn-undo'), r = document.getElementById('btn-redo');
+        if(u) u.disabled = !(window.historyManager && window.historyManager.canUndo());
+        if(r) r.disabled = !(window.historyManager && window.historyManager.canRedo());
+    }
+
+    handleHistoryKeys(e) {
+        if(!(e.ctrlKey || e.metaKey)) return;
+        // Leave native undo to text fields
+        const tag = e.target && e.target.tagName;
+        if(tag === 'TEXTAREA' || (tag === 'INPUT' && e.target.type !== 'range')) return;
+
+        const key = e.key.toLowerCase();
+        if(key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo(); }
+        else if((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); this.redo(); }
+    }
 
     // --- RENDERERS ---
     renderLoop() {
@@ -289,8 +1065,10 @@ class UIController {
             const now = window.audioEngine.ctx.currentTime;
             if(window.visualQueue[0].time <= now) {
                 const ev = window.visualQueue.shift();
-                if(ev.step === 0) this.renderTrackBar();
+                if(ev.step === 0) { this.playingEntry = ev.entry; this.renderTrackBar(); }
                 if(this.lastDrawnStep !== ev.step) {
+                    const len = window.timeMatrix.getBlockLength(ev.block);
+                    if(len !== this.clockSteps) this.initPlayClock(len);
                     this.updatePlayClock(ev.step);
                     if(window.AppState.followPlayback && ev.block !== window.AppState.editingBlock) {
                         window.AppState.editingBlock = ev.block;
@@ -302,36 +1080,482 @@ class UIController {
                         if(ev.step % 4 === 0) this.blinkLed();
                     } else window.timeMatrix.highlightPlayingStep(-1);
                     this.lastDrawnStep = ev.step;
+                    this.playhead = { block: ev.block, step: ev.step };
                 }
             } else break;
         }
         requestAnimationFrame(() => this.renderLoop());
     }
 
+    syncGrooveControls() {
+        const st = window.AppState;
+        const setVal = (id, val) => { const el = document.getElementById(id); if(el) el.value = (val === null || val === undefined) ? '' : val; };
+        setVal('swing-input', st.swing);
+        setVal('swing-bass-input', st.swingBass);
+        setVal('swing-drums-input', st.swingDrums);
+    }
+
+    renderMasterControls() {
+        const c = document.getElementById('master-bus-container');
+        if(!c || !window.audioEngine) return;
+        c.innerHTML = '';
+        const bus = window.audioEngine.masterBus;
+        window.MasterBus.FIELDS.forEach(f => {
+            const row = document.createElement('div');
+            row.className = 'config-row';
+            row.innerHTML = `
+                <span class="config-label-wide">${f[2]}</span>
+                <input type="number" class="input-config" min="${f[3]}" max="${f[4]}" step="${f[5]}" value="${window.MasterBus.fieldValue(bus.settings, f)}">
+            `;
+            const input = row.querySelector('input');
+            input.onchange = (e) => {
+                const val = parseFloat(e.target.value);
+                if(!isNaN(val)) {
+                    this.recordHistory('Master Bus', `master:${window.MasterBus.fieldName(f)}`);
+                    bus.setField(f, val);
+                }
+                input.value = window.MasterBus.fieldValue(bus.settings, f);
+            };
+            c.appendChild(row);
+        });
+    }
+
+    // --- MIDI INPUT ---
+    renderMidiInputMenu() {
+        const mi = window.midiInput;
+        const dev = document.getElementById('midi-input-select');
+        if(!mi || !dev) return;
+        if(!mi.available) {
+            dev.innerHTML = '<option value="">UNAVAILABLE</option>';
+            dev.disabled = true;
+        } else {
+            const inputs = mi.getInputs();
+            dev.disabled = false;
+            dev.innerHTML = '<option value="">OFF</option><option value="all">ALL DEVICES</option>' +
+                inputs.map(i => `<option value="${i.id}">${(i.name || i.id).toUpperCase()}</option>`).join('');
+            dev.value = mi.settings.deviceId;
+        }
+        const step = document.getElementById('btn-midi-step-entry');
+        if(step) { step.classList.toggle('active', !!mi.settings.stepEntry); step.innerText = mi.settings.stepEntry ? 'ON' : 'OFF'; }
+        const acc = document.getElementById('midi-accent-velocity');
+        if(acc) acc.value = mi.settings.accentVelocity;
+
+        const map = document.getElementById('midi-drum-map');
+        if(!map || !window.drumSynth) return;
+        map.innerHTML = '';
+        window.drumSynth.channels.forEach(ch => {
+            const cell = document.createElement('div');
+            cell.className = 'midi-map-cell';
+            cell.innerHTML = `<span>${ch.name}</span><input type="number" class="input-send input-midi" min="0" max="127" value="${mi.settings.drumNotes[ch.id]}">`;
+            cell.querySelector('input').onchange = (e) => { mi.setDrumNote(ch.id, parseInt(e.target.value)); e.target.value = mi.settings.drumNotes[ch.id]; };
+            map.appendChild(cell);
+        });
+    }
+
+    renderMidiLearn() {
+        const learn = window.midiLearn;
+        if(!learn) return;
+        document.body.classList.toggle('midi-learning', learn.armed);
+        const btn = document.getElementById('btn-midi-learn');
+        if(btn) btn.classList.toggle('active', learn.armed);
+        document.querySelectorAll('.learn-pending').forEach(el => el.classList.remove('learn-pending'));
+        if(learn.pending) this.getLearnElements(learn.pending).forEach(el => el.classList.add('learn-pending'));
+
+        const fb = document.getElementById('midi-feedback-output');
+        if(fb) {
+            const available = !!(window.midiInput && window.midiInput.available);
+            fb.disabled = !available;
+            fb.innerHTML = available
+                ? '<option value="">OFF</option>' + window.midiInput.getOutputs().map(o => `<option value="${o.id}">${(o.name || o.id).toUpperCase()}</option>`).join('')
+                : '<option value="">UNAVAILABLE</option>';
+            fb.value = available ? learn.settings.outputId : '';
+        }
+
+        const c = document.getElementById('midi-cc-list');
+        if(!c) return;
+        c.innerHTML = '';
+        if(learn.bindings.length === 0) { c.innerHTML = '<div class="auto-empty">NO MAPPINGS (PRESS LEARN, CLICK A CONTROL, MOVE A KNOB)</div>'; return; }
+        learn.bindings.forEach((b, i) => {
+            const r = document.createElement('div');
+            r.className = 'menu-item-row midi-cc-row';
+            r.innerHTML = `
+                <span class="midi-cc-target">${window.MidiLearn.describe(b.target)}</span>
+                <span class="midi-cc-field">CH</span><input type="number" class="input-send input-midi" data-key="channel" min="1" max="16" value="${b.channel + 1}">
+                <span class="midi-cc-field">CC</span><input type="number" class="input-send input-midi" data-key="cc" min="0" max="127" value="${b.cc}">
+                <button class="btn-project" title="Learn again">LRN</button>
+                <button class="btn-icon-del" title="Clear">X</button>
+            `;
+            r.querySelectorAll('input').forEach(inp => {
+                inp.onchange = (e) => {
+                    const v = parseInt(e.target.value);
+                    learn.update(i, inp.dataset.key, inp.dataset.key === 'channel' ? v - 1 : v);
+                };
+            });
+            r.querySelector('.btn-project').onclick = () => { this.toggleMenu(); learn.arm(true); learn.select(b.target); };
+            r.querySelector('.btn-icon-del').onclick = () => learn.remove(i);
+            c.appendChild(r);
+        });
+    }
+
+    // Learnable control under an element, as a MidiLearn target (null = not learnable)
+    getLearnTarget(el) {
+        if(!el || !el.closest) return null;
+        const view = window.AppState.activeView;
+        const fader = el.closest('#fx-controls-analog .rack-module');
+        const slider = fader ? fader.querySelector('.fader') : null;
+        if(slider && view !== 'drum') return `${view}:${UIController.FX_PARAMS[slider.id.replace('-slider', '')]}`;
+        const digi = el.closest('#fx-controls-digital .digi-module');
+        if(digi && view !== 'drum') return `${view}:${digi.querySelector('.dfx-btn').dataset.target}`;
+        const vol = el.closest('.drum-vol-ctrl');
+        if(vol) return `drums:${vol.querySelector('.drum-rep-btn').dataset.target}`;
+        return null;
+    }
+
+    // Controls showing a target (bass params only while their synth is on screen)
+    getLearnElements(target) {
+        const [owner, param] = window.MidiLearn.split(target);
+        if(owner === 'drums') {
+            const input = document.getElementById(param === 'master' ? 'drum-master-vol' : `drum-vol-${param}`);
+            return input ? [input.closest('.drum-vol-ctrl')] : [];
+        }
+        if(owner !== window.AppState.activeView) return [];
+        const p = Object.keys(UIController.FX_PARAMS).find(k => UIController.FX_PARAMS[k] === param);
+        return [document.getElementById(`${p}-slider`), document.getElementById(`${p}-digital`)]
+            .filter(el => el).map(el => el.closest('.rack-module, .digi-module'));
+    }
+
+    renderMidiClockMenu() {
+        const clock = window.midiClock;
+        const sync = document.getElementById('midi-clock-sync');
+        const out = document.getElementById('midi-clock-output');
+        if(!clock || !sync || !out) return;
+        sync.value = clock.settings.sync;
+        const available = !!(window.midiInput && window.midiInput.available);
+        sync.disabled = !available;
+        out.innerHTML = available
+            ? '<option value="">OFF</option>' + clock.getOutputs().map(o => `<option value="${o.id}">${(o.name || o.id).toUpperCase()}</option>`).join('')
+            : '<option value="">UNAVAILABLE</option>';
+        out.value = available ? clock.settings.outputId : '';
+        out.disabled = !available || clock.isExternal();
+    }
+
+    advanceSelectedStep() {
+        const st = window.AppState;
+        st.selectedStep = (st.selectedStep + 1) % window.timeMatrix.getBlockLength(st.editingBlock);
+    }
+
+    // Keyboard note: preview, then (STEP ENTRY) write the selected step and move on.
+    // legato: another key was still down, the new note slides
+    midiNote(pitch, vel, legato) {
+        const st = window.AppState;
+        if(st.activeView === 'drum') return;
+        const note = window.timeMatrix.noteMapRev[(pitch % 12) + 1];
+        const octave = Math.max(1, Math.min(6, Math.floor(pitch / 12) - 1));
+        window.audioEngine.previewNote(st.activeView, note, octave);
+        if(!window.midiInput.settings.stepEntry) return;
+
+        this.recordHistory('Step Entry');
+        const track = window.timeMatrix.blocks[st.editingBlock].tracks[st.activeView];
+        const prev = track[st.selectedStep];
+        track[st.selectedStep] = {
+            note, octave, slide: legato, accent: vel >= window.midiInput.settings.accentVelocity,
+            gate: prev && prev.gate ? prev.gate : 'normal',
+            cond: prev && prev.cond ? prev.cond : ''
+        };
+        if(prev && prev.locks) track[st.selectedStep].locks = { ...prev.locks };
+        this.advanceSelectedStep();
+        this.updateEditors();
+    }
+
+    // Pad hit: preview, then (STEP ENTRY, drum view) set the hit on the selected step.
+    // Pads hit together land on the same step; the step advances once all are released
+    midiDrumHit(chId, vel) {
+        window.audioEngine.previewDrum(chId, vel);
+        const st = window.AppState;
+        if(!window.midiInput.settings.stepEntry || st.activeView !== 'drum') return;
+        this.recordHistory('Step Entry');
+        const hits = window.timeMatrix.blocks[st.editingBlock].drums[st.selectedStep];
+        const hit = hits.find(h => h.id === chId);
+        if(hit) hit.vel = vel;
+        else hits.push({ id: chId, vel });
+        this.midiDrumPending = true;
+        this.updateEditors();
+    }
+
+    midiRelease() {
+        if(!this.midiDrumPending) return;
+        this.midiDrumPending = false;
+        this.advanceSelectedStep();
+        this.updateEditors();
+    }
+
+    // --- MIDI IMPORT ---
+    // Lists the file's track/channel sources with a target each. Defaults: channel 10
+    // to the drum note map, melodic sources to the existing synths, then to new ones.
+    openMidiImport(smf) {
+        const sources = window.MidiIO.getSources(smf);
+        if(sources.length === 0) { window.logToScreen("MIDI: No notes found", 'warn'); return; }
+        this.midiImport = { smf, sources };
+
+        const synthIds = window.audioEngine.bassSynths.map(s => s.id);
+        const newIds = [];
+        for(let n = 1; newIds.length < sources.length; n++) {
+            if(!synthIds.includes(`bass-${n}`)) newIds.push(`bass-${n}`);
+        }
+        const drums = window.drumSynth ? window.drumSynth.channels : [];
+        const options = [
+            ['', 'SKIP'],
+            ...synthIds.map(id => [`bass:${id}`, id.toUpperCase()]),
+            ...newIds.map(id => [`bass:${id}`, `NEW ${id.toUpperCase()}`]),
+            ['drums', 'DRUMS (NOTE MAP)'],
+            ...drums.map(ch => [`drums:${ch.id}`, `DRUM ${ch.name}`])
+        ];
+
+        const c = document.getElementById('midi-import-sources');
+        c.innerHTML = '';
+        let melodic = 0;
+        const bassTargets = [...synthIds, ...newIds];
+        sources.forEach(src => {
+            const def = src.drum ? 'drums' : `bass:${bassTargets[melodic++]}`;
+            const r = document.createElement('div');
+            r.className = 'menu-item-row midi-source';
+            r.innerHTML = `
+                <span class="midi-source-label">T${src.track + 1} CH${src.channel + 1} <span class="midi-source-name"></span> <span class="text-dim">${src.notes.length} NOTES</span></span>
+                <select class="variant-select" data-src="${src.key}">
+                    ${options.map(([v, l]) => `<option value="${v}" ${v === def ? 'selected' : ''}>${l}</option>`).join('')}
+                </select>
+            `;
+            // Track names come from the file: text only, never markup
+            r.querySelector('.midi-source-name').textContent = src.name;
+            c.appendChild(r);
+        });
+
+        document.getElementById('midi-import-start').value = window.AppState.editingBlock + 1;
+        this.updateMidiImportLimit();
+        this.toggleMidiImportModal();
+    }
+
+    // Start block from the modal, clamped like MidiIO.importSong
+    midiImportStart() {
+        const idx = (parseInt(document.getElementById('midi-import-start').value) || 1) - 1;
+        return Math.max(0, Math.min(window.timeMatrix.blocks.length - 1, idx));
+    }
+
+    // Songs stop at TimeMatrix.MAX_BLOCKS: warn before importing a file that runs past it
+    updateMidiImportLimit() {
+        const el = document.getElementById('midi-import-limit');
+        if(!el || !this.midiImport) return;
+        const start = this.midiImportStart();
+        const max = window.TimeMatrix.MAX_BLOCKS;
+        const fits = start + window.MidiIO.blocksNeeded(this.midiImport.smf, start) <= max;
+        el.textContent = fits ? '' : `FILE RUNS PAST BLOCK ${max}: LATER NOTES WILL BE CUT`;
+        el.classList.toggle('hidden', fits);
+    }
+
+    runMidiImport() {
+        if(!this.midiImport) return;
+        const mapping = {};
+        document.querySelectorAll('#midi-import-sources select[data-src]').forEach(sel => { if(sel.value) mapping[sel.dataset.src] = sel.value; });
+        if(Object.keys(mapping).length === 0) { window.logToScreen("MIDI: Nothing mapped", 'warn'); return; }
+
+        this.recordHistory('Import MIDI');
+        const res = window.MidiIO.importSong(this.midiImport.smf, mapping, {
+            startBlock: this.midiImportStart(),
+            accentVelocity: parseInt(document.getElementById('midi-import-accent').value) || 110,
+            useTempo: document.getElementById('midi-import-tempo').value === 'file'
+        });
+        this.midiImport = null;
+        this.toggleMidiImportModal();
+        this.toggleMemoryModal();
+        this.refreshAfterHistory();
+        this.syncLoopControls();
+        const cut = res.truncated ? `, ${res.truncated} cut past block ${window.TimeMatrix.MAX_BLOCKS}` : '';
+        window.logToScreen(`MIDI Imported: ${res.notes} notes, ${res.hits} hits, ${res.blocks} new blocks${res.dropped ? `, ${res.dropped} dropped` : ''}${cut}`, cut ? 'warn' : 'info');
+    }
+
+    // --- PROJECT LIBRARY ---
+    renderProjectLibrary() {
+        const c = document.getElementById('project-list');
+        const store = window.projectStore;
+        if(!c || !store) return;
+        const cur = document.getElementById('project-current');
+        if(cur) cur.innerText = store.current ? store.current.name : 'UNTITLED';
+        if(!store.isReady()) { c.innerHTML = '<div class="auto-empty">LIBRARY UNAVAILABLE</div>'; return; }
+
+        store.list().then(entries => {
+            c.innerHTML = '';
+            if(entries.length === 0) { c.innerHTML = '<div class="auto-empty">NO SAVED PROJECTS</div>'; return; }
+            entries.forEach(p => {
+                const r = document.createElement('div');
+                const active = store.current && store.current.id === p.id;
+                r.className = `menu-item-row project-row ${active ? 'active' : ''}`;
+                r.innerHTML = `
+                    <span class="project-info">
+                        <span class="project-name">${p.name}</span>
+                        <span class="project-date">${new Date(p.updated).toLocaleString()}</span>
+                    </span>
+                    <span class="project-actions">
+                        <button class="btn-project" data-act="open" title="Open">OPEN</button>
+                        <button class="btn-project" data-act="rename" title="Rename">REN</button>
+                        <button class="btn-project" data-act="dup" title="Duplicate">DUP</button>
+                        <button class="btn-icon-del" data-act="del" title="Delete">X</button>
+                    </span>
+                `;
+                r.querySelectorAll('[data-act]').forEach(b => { b.onclick = () => this.projectAction(b.dataset.act, p); });
+                c.appendChild(r);
+            });
+        }).catch(e => window.logToScreen(`LIBRARY ERR: ${e}`, 'error'));
+    }
+
+    // act: 'open' | 'rename' | 'dup' | 'del'; p: library entry (without data)
+    projectAction(act, p) {
+        const store = window.projectStore;
+        let job = null;
+        if(act === 'open') {
+            job = store.openProject(p.id).then(res => {
+                if(!res.ok) { res.errors.slice(0, 5).forEach(e => window.logToScreen(`LOAD ERR: ${e}`, 'error')); return; }
+                window.historyManager.clear();
+                this.refreshAfterLoad();
+                window.logToScreen(`Project Opened: ${p.name}`);
+            });
+        } else if(act === 'rename') {
+            const name = prompt("Rename Project:", p.name);
+            if(!name || !name.trim()) return;
+            job = store.rename(p.id, name.trim().toUpperCase());
+        } else if(act === 'dup') {
+            job = store.duplicate(p.id);
+        } else if(act === 'del') {
+            if(!confirm(`Delete project ${p.name}?`)) return;
+            job = store.remove(p.id);
+        }
+        if(job) job.then(() => this.renderProjectLibrary()).catch(e => window.logToScreen(`LIBRARY ERR: ${e}`, 'error'));
+    }
+
+    // Full UI sync after a project replaced the session (JSON load, library, boot recovery)
+    refreshAfterLoad() { this.syncPrefs(); this.refreshAfterHistory(); this.syncLoopControls(); }
+
+    // Applies the AppState UI prefs to the DOM (project load)
+    syncPrefs() {
+        const st = window.AppState;
+        const analog = st.uiMode !== 'digital';
+        const modeBtn = document.getElementById('btn-toggle-ui-mode');
+        if(modeBtn) modeBtn.innerText = `UI MODE: ${st.uiMode.toUpperCase()}`;
+        document.getElementById('fx-controls-analog').classList.toggle('hidden', !analog);
+        document.getElementById('fx-controls-digital').classList.toggle('hidden', analog);
+        const vis = document.getElementById('btn-toggle-visualizer');
+        if(vis) vis.innerText = st.followPlayback ? "VISUALIZER: ON" : "VISUALIZER: OFF";
+        const oct = document.getElementById('oct-display');
+        if(oct) oct.innerText = st.currentOctave;
+        document.querySelectorAll('.btn-option[data-rep]').forEach(b => b.classList.toggle('active', parseInt(b.dataset.rep) === st.exportReps));
+        document.querySelectorAll('.btn-option[data-scope]').forEach(b => b.classList.toggle('active', b.dataset.scope === st.exportScope));
+        const seed = document.getElementById('render-seed-input');
+        if(seed) seed.value = st.renderSeed;
+        this.syncExportOptions();
+        this.renderSubPanelStates();
+    }
+
+    syncExportOptions() {
+        const st = window.AppState;
+        document.querySelectorAll('.btn-option[data-stems]').forEach(b => b.classList.toggle('active', (b.dataset.stems === 'stems') === !!st.exportStems));
+        document.querySelectorAll('.btn-option[data-stem-drums]').forEach(b => b.classList.toggle('active', b.dataset.stemDrums === st.stemDrums));
+        document.querySelectorAll('.btn-option[data-stem-chain]').forEach(b => b.classList.toggle('active', b.dataset.stemChain === st.stemChain));
+        const opts = document.getElementById('stem-options');
+        if(opts) opts.classList.toggle('hidden', !st.exportStems);
+
+        document.querySelectorAll('.btn-option[data-bits]').forEach(b => b.classList.toggle('active', parseInt(b.dataset.bits) === st.exportBits));
+        document.querySelectorAll('.btn-option[data-rate]').forEach(b => b.classList.toggle('active', parseInt(b.dataset.rate) === st.exportRate));
+        const dither = document.getElementById('btn-export-dither');
+        if(dither) {
+            const isFloat = st.exportBits === 32; // Float keeps full resolution: nothing to dither
+            dither.disabled = isFloat;
+            dither.classList.toggle('active', !isFloat && st.exportDither);
+            dither.innerText = isFloat ? "DITHER: N/A" : `DITHER: ${st.exportDither ? 'ON' : 'OFF'}`;
+        }
+        const norm = document.getElementById('export-normalize');
+        if(norm) norm.value = st.exportNormalize === null ? '' : String(st.exportNormalize);
+        const tail = document.getElementById('export-tail');
+        if(tail) tail.value = String(st.exportTail);
+        const btn = document.getElementById('btn-start-render');
+        if(btn && !btn.disabled) btn.innerText = st.exportStems ? "RENDER STEMS" : "RENDER WAV";
+    }
+
+    syncSendFxControls() {
+        if(!window.audioEngine) return;
+        const { delay, reverb } = window.audioEngine.sendFx.settings;
+        const setVal = (id, val) => { const el = document.getElementById(id); if(el) el.value = val; };
+        setVal('send-delay-division', delay.division); setVal('send-delay-feedback', delay.feedback);
+        setVal('send-delay-tone', delay.tone); setVal('send-delay-level', delay.level);
+        setVal('send-reverb-size', reverb.size); setVal('send-reverb-damp', reverb.damp);
+        setVal('send-reverb-level', reverb.level);
+    }
+
     syncControls(viewId) {
         if(viewId === 'drum') return; 
         const s = window.audioEngine.getSynth(viewId);
         if(!s) return;
-        const p = s.params;
+        const p = this.getEditParams(s);
 
         const setVal = (id, val) => { const el = document.getElementById(id); if(el) el.value = Math.round(val); };
         setVal('vol-slider', p.volume); setVal('dist-slider', p.distortion);
         setVal('res-slider', p.resonance); setVal('env-slider', p.envMod);
         setVal('dec-slider', p.decay); setVal('acc-slider', p.accentInt);
         setVal('tone-slider', p.distTone); setVal('dgain-slider', p.distGain);
+        setVal('dly-slider', p.sendDelay); setVal('rev-slider', p.sendReverb);
         setVal('cutoff-slider', ((p.cutoff / 100) * 4900) + 100);
 
         setVal('vol-digital', p.volume); setVal('dist-digital', p.distortion);
         setVal('cutoff-digital', p.cutoff); setVal('res-digital', p.resonance * 5);
         setVal('env-digital', p.envMod); setVal('dec-digital', p.decay);
         setVal('acc-digital', p.accentInt); setVal('tone-digital', p.distTone);
-        setVal('dgain-digital', p.distGain);
+        setVal('dgain-digital', p.distGain); setVal('dly-digital', p.sendDelay);
+        setVal('rev-digital', p.sendReverb);
 
         const wvBtn = document.getElementById('btn-waveform');
         if(wvBtn) wvBtn.innerHTML = p.waveform === 'square' ? '<span class="wave-symbol">Π</span> SQR' : '<span class="wave-symbol">~</span> SAW';
+
+        this.renderLfoControls(s);
+    }
+
+    // --- LFOs ---
+    renderLfoControls(synth) {
+        const c = document.getElementById('lfo-container');
+        if(!c) return;
+        c.innerHTML = '';
+        const BS = window.BassSynth;
+        const labels = { none: 'OFF', cutoff: 'CUT', resonance: 'RES', envMod: 'ENV', decay: 'DEC', distortion: 'DRV', distTone: 'TONE',
+            sine: 'SINE', triangle: 'TRI', square: 'SQR', saw: 'SAW', sh: 'S&H' };
+        const opts = (list, sel) => list.map(v => `<option value="${v}" ${v === sel ? 'selected' : ''}>${labels[v]}</option>`).join('');
+
+        (synth.params.lfos || []).forEach((lfo, i) => {
+            const row = document.createElement('div');
+            row.className = 'lfo-row';
+            row.innerHTML = `<label class="mod-label">LFO${i + 1}</label>`
+                + `<select class="select-mod" data-key="target" title="Target">${opts(BS.LFO_TARGETS, lfo.target)}</select>`
+                + `<select class="select-mod" data-key="shape" title="Shape">${opts(BS.LFO_SHAPES, lfo.shape)}</select>`
+                + `<select class="select-mod" data-key="rate" title="Rate">${BS.LFO_RATES.map(([v, l]) => `<option value="${v}" ${v === lfo.rate ? 'selected' : ''}>${l}</option>`).join('')}</select>`
+                + `<input type="number" class="lfo-depth" data-key="depth" min="-100" max="100" value="${lfo.depth}" title="Depth (%)">`
+                + `<button class="btn-mod ${lfo.retrig ? 'active' : ''}" data-key="retrig" title="Restart Phase on Block Start">RTRG</button>`;
+
+            row.querySelectorAll('select').forEach(sel => {
+                sel.onchange = (e) => this.setLfoParam(synth, i, sel.dataset.key, sel.dataset.key === 'rate' ? parseInt(e.target.value) : e.target.value);
+            });
+            row.querySelector('.lfo-depth').onchange = (e) => this.setLfoParam(synth, i, 'depth', Math.max(-100, Math.min(100, parseInt(e.target.value) || 0)));
+            row.querySelector('button').onclick = () => this.setLfoParam(synth, i, 'retrig', !lfo.retrig);
+            c.appendChild(row);
+        });
+    }
+
+    setLfoParam(synth, index, key, value) {
+        this.recordHistory('Edit LFO', `lfo:${synth.id}:${index}:${key}`);
+        synth.setLfo(index, key, value);
+        this.renderLfoControls(synth);
     }
 
     updateEditors() {
+        // Keep the selection inside the current block length
+        const len = window.timeMatrix.getBlockLength(window.AppState.editingBlock);
+        if(window.AppState.selectedStep >= len) window.AppState.selectedStep = len - 1;
+
         const bEd = document.getElementById('editor-bass');
         const dEd = document.getElementById('editor-drum');
         document.getElementById('step-info-display').innerText = `STEP ${window.AppState.selectedStep+1} // ${window.AppState.activeView.toUpperCase()}`;
@@ -349,15 +1573,32 @@ class UIController {
 
         const slideBtn = document.getElementById('btn-toggle-slide');
         const accBtn = document.getElementById('btn-toggle-accent');
+        const gateBtn = document.getElementById('btn-cycle-gate');
         if(slideBtn) slideBtn.classList.remove('active');
         if(accBtn) accBtn.classList.remove('active');
+        const condSel = document.getElementById('cond-select');
+        if(gateBtn) { gateBtn.classList.remove('active'); gateBtn.innerText = 'GATE: ---'; }
+        if(condSel) { condSel.value = ''; condSel.disabled = true; }
+        const lockBtn = document.getElementById('btn-toggle-lock');
+        if(lockBtn) lockBtn.classList.toggle('active', !!window.AppState.lockEdit);
+        const clrLocks = document.getElementById('btn-clear-locks');
+        if(clrLocks) clrLocks.classList.remove('active');
 
         if(window.AppState.activeView !== 'drum') {
             const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
             if(note) {
                 if(note.slide && slideBtn) slideBtn.classList.add('active');
                 if(note.accent && accBtn) accBtn.classList.add('active');
+                const gate = note.gate || 'normal';
+                if(gateBtn) {
+                    gateBtn.innerText = `GATE: ${gate.toUpperCase()}`;
+                    if(gate !== 'normal') gateBtn.classList.add('active');
+                }
+                if(condSel) { condSel.value = note.cond || ''; condSel.disabled = false; }
+                if(clrLocks && note.locks) clrLocks.classList.add('active');
             }
+            // Controls follow the selected step while locking
+            if(window.AppState.lockEdit) this.syncControls(window.AppState.activeView);
         }
         window.timeMatrix.selectedStep = window.AppState.selectedStep;
         window.timeMatrix.render(window.AppState.activeView, window.AppState.editingBlock);
@@ -369,17 +1610,36 @@ class UIController {
         c.innerHTML = '';
         document.getElementById('display-total-blocks').innerText = window.timeMatrix.blocks.length;
         document.getElementById('display-current-block').innerText = window.AppState.editingBlock + 1;
-
-        window.timeMatrix.blocks.forEach((_, i) => {
+        const lenSel = document.getElementById('block-length-select');
+        if(lenSel) lenSel.value = window.timeMatrix.getBlockLength(window.AppState.editingBlock);
+        const editBlk = window.timeMatrix.blocks[window.AppState.editingBlock];
+        const blockBpm = document.getElementById('block-bpm-input');
+        if(blockBpm && editBlk) { blockBpm.value = editBlk.bpm || ''; blockBpm.placeholder = window.AppState.bpm; }
+        const rampBtn = document.getElementById('btn-block-ramp');
+        if(rampBtn && editBlk) rampBtn.classList.toggle('active', !!editBlk.ramp);
+
+        // Blocks covered by the transport loop
+        const st = window.AppState;
+        const [loopFirst, loopLast] = st.loopMode === 'range' ? window.audioEngine.getLoopRange()
+            : (st.loopMode === 'block' ? [st.editingBlock, st.editingBlock] : [-1, -1]);
+
+        window.timeMatrix.blocks.forEach((b, i) => {
             const el = document.createElement('div');
             let classes = 'chain-block';
             if(i === window.AppState.editingBlock) classes += ' editing';
+            if(i >= loopFirst && i <= loopLast) classes += ' in-loop';
             if(window.AppState.isPlaying && i === window.AppState.currentPlayBlock) classes += ' playing';
             el.className = classes;
             el.innerText = i + 1;
+            // Non-default lengths are tagged under the block number
+            if(b.steps !== window.timeMatrix.totalSteps) el.innerHTML += `<span class="chain-block-len">${b.steps}</span>`;
+            // Own tempo / ramp tag in the corner
+            if(b.bpm || b.ramp) el.innerHTML += `<span class="chain-block-bpm">${b.bpm || ''}${b.ramp ? '&#8599;' : ''}</span>`;
             el.onclick = () => this.goToBlock(i);
             c.appendChild(el);
         });
+
+        this.renderSongBar();
     }
 
     renderInstrumentTabs() {
@@ -388,7 +1648,7 @@ class UIController {
         c.innerHTML = '';
         window.audioEngine.bassSynths.forEach(s => {
             const b = document.createElement('button');
-            b.className = `tab-pill ${window.AppState.activeView === s.id ? 'active' : ''}`;
+            b.className = `tab-pill ${window.AppState.activeView === s.id ? 'active' : ''} ${s.mute ? 'muted' : ''}`;
             b.innerText = s.id;
             b.onclick = () => this.setTab(s.id);
             c.appendChild(b);
@@ -407,7 +1667,16 @@ class UIController {
         window.audioEngine.bassSynths.forEach(s => {
             const r = document.createElement('div');
             r.className = 'menu-item-row';
-            r.innerHTML = `<span class="text-green">${s.id}</span><button class="btn-icon-del" onclick="window.removeBassSynth('${s.id}')">X</button>`;
+            // Ids may come from loaded files: built as text nodes, never template markup
+            const name = document.createElement('span');
+            name.className = 'text-green';
+            name.textContent = s.id;
+            const del = document.createElement('button');
+            del.className = 'btn-icon-del';
+            del.textContent = 'X';
+            del.addEventListener('click', () => window.removeBassSynth(s.id));
+            r.appendChild(name);
+            r.appendChild(del);
             c.appendChild(r);
         });
     }
@@ -437,17 +1706,19 @@ class UIController {
         const mstInput = masterRow.querySelector('#drum-master-vol');
         mstInput.onchange = (e) => {
             const val = parseInt(e.target.value);
+            this.recordHistory('Drum Master Vol');
             window.drumSynth.setMasterVolume(val);
         };
 
         // 2. Channel Rows
-        const cur = window.timeMatrix.blocks[window.AppState.editingBlock].drums[window.AppState.selectedStep];
+        const blockIdx = window.AppState.editingBlock, step = window.AppState.selectedStep;
         
         window.drumSynth.channels.forEach(ch => {
             // Skip inactive channels (Variant 0)
             if(ch.variant === 0) return;
 
-            const act = cur.includes(ch.id);
+            const hit = window.timeMatrix.getDrumHit(blockIdx, step, ch.id);
+            const act = !!hit;
             const colIndex = (ch.colorId !== undefined) ? ch.colorId : ch.id;
             const color = window.drumSynth.channelColors[colIndex % 9];
 
@@ -460,11 +1731,39 @@ class UIController {
             infoDiv.innerHTML = `<div class="drum-color-tag" style="background:${color};box-shadow:0 0 5px ${color}"></div><span class="drum-label">${ch.name}</span>`;
             infoDiv.onclick = () => {
                 if(window.audioEngine) window.audioEngine.resume();
-                if(act) cur.splice(cur.indexOf(ch.id), 1);
-                else { cur.push(ch.id); window.audioEngine.previewDrum(ch.id); }
+                this.recordHistory('Toggle Drum');
+                if(window.timeMatrix.toggleDrumHit(blockIdx, step, ch.id)) window.audioEngine.previewDrum(ch.id);
                 this.updateEditors();
             };
 
+            // Hit Level (Normal -> Accent -> Ghost), only for active hits
+            const lvlBtn = document.createElement('button');
+            lvlBtn.className = 'drum-lvl-btn';
+            if(act) {
+                const lvl = this.getVelocityLevel(hit.vel);
+                lvlBtn.innerText = lvl[0].toUpperCase();
+                lvlBtn.classList.add(`lvl-${lvl}`);
+                lvlBtn.title = `VELOCITY ${hit.vel}`;
+                lvlBtn.onclick = (e) => { e.stopPropagation(); this.cycleDrumVelocity(hit, ch.id); };
+            } else {
+                lvlBtn.classList.add('hidden');
+            }
+
+            // Trig Condition, only for active hits
+            const condSel = document.createElement('select');
+            condSel.className = 'drum-cond-select';
+            if(act) {
+                condSel.innerHTML = this.condOptionsHTML(hit.cond);
+                condSel.onclick = (e) => e.stopPropagation();
+                condSel.onchange = (e) => {
+                    this.recordHistory('Drum Condition');
+                    hit.cond = e.target.value;
+                    this.updateEditors();
+                };
+            } else {
+                condSel.classList.add('hidden');
+            }
+
             // Volume Control (Inputs + Buttons)
             const volDiv = document.createElement('div');
             volDiv.className = 'drum-vol-ctrl';
@@ -479,10 +1778,13 @@ class UIController {
             volInput.onclick = (e) => e.stopPropagation(); // Prevent row click
             volInput.onchange = (e) => {
                 const val = parseInt(e.target.value);
+                this.recordHistory('Drum Vol');
                 window.drumSynth.setChannelVolume(ch.id, val);
             };
 
             row.appendChild(infoDiv);
+            row.appendChild(lvlBtn);
+            row.appendChild(condSel);
             row.appendChild(volDiv);
             c.appendChild(row);
         });
@@ -491,6 +1793,23 @@ class UIController {
         this.setupDrumRepeaters();
     }
 
+    // Nearest named level for a raw velocity (ghost / normal / accent)
+    getVelocityLevel(vel) {
+        const levels = window.DrumSynth.VELOCITY;
+        if(vel >= levels.accent) return 'accent';
+        if(vel <= levels.ghost) return 'ghost';
+        return 'normal';
+    }
+
+    cycleDrumVelocity(hit, chId) {
+        const order = window.DrumSynth.VELOCITY_ORDER;
+        const next = order[(order.indexOf(this.getVelocityLevel(hit.vel)) + 1) % order.length];
+        this.recordHistory('Drum Velocity');
+        hit.vel = window.DrumSynth.VELOCITY[next];
+        if(window.audioEngine) window.audioEngine.previewDrum(chId, hit.vel);
+        this.updateEditors();
+    }
+
     renderDrumConfigMenu() {
         const container = document.getElementById('drum-config-container');
         if(!container || !window.drumSynth) return;
@@ -532,6 +1851,9 @@ class UIController {
                         <option value="3" ${ch.variant===3?'selected':''}>${ch.name} 3</option>
                         <option value="4" ${ch.variant===4?'selected':''}>${ch.name} 4</option>
                     </select>
+                    <input type="number" class="input-send" id="conf-dly-${ch.id}" min="0" max="100" value="${ch.sendDelay}" title="DELAY SEND">
+                    <input type="number" class="input-send" id="conf-rev-${ch.id}" min="0" max="100" value="${ch.sendReverb}" title="REVERB SEND">
+                    <input type="number" class="input-send input-midi" id="conf-midi-${ch.id}" min="0" max="127" value="${ch.midiNote}" title="MIDI NOTE (GM)">
                     <div class="color-select ${isSwapping ? 'color-swapping' : ''}" 
                          id="conf-col-${ch.id}" 
                          style="background:${color}">
@@ -544,10 +1866,27 @@ class UIController {
             const sel = row.querySelector(`#conf-var-${ch.id}`);
             sel.onchange = (e) => {
                 const val = parseInt(e.target.value);
+                this.recordHistory('Drum Variant');
                 window.drumSynth.setChannelVariant(ch.id, val);
                 if(window.AppState.activeView === 'drum') this.updateEditors();
             };
 
+            const bindSend = (id, key) => {
+                row.querySelector(id).onchange = (e) => {
+                    this.recordHistory('Drum Send');
+                    window.drumSynth.setChannelSend(ch.id, key, parseInt(e.target.value) || 0);
+                    e.target.value = ch[key];
+                };
+            };
+            bindSend(`#conf-dly-${ch.id}`, 'sendDelay');
+            bindSend(`#conf-rev-${ch.id}`, 'sendReverb');
+
+            row.querySelector(`#conf-midi-${ch.id}`).onchange = (e) => {
+                this.recordHistory('Drum MIDI Note');
+                window.drumSynth.setChannelMidiNote(ch.id, parseInt(e.target.value));
+                e.target.value = ch.midiNote;
+            };
+
             const colBtn = row.querySelector(`#conf-col-${ch.id}`);
             colBtn.onclick = () => this.handleColorSwap(ch.id);
         });
@@ -569,6 +1908,7 @@ class UIController {
             
             const srcCh = window.drumSynth.channels[srcId];
             const targetCh = window.drumSynth.channels[targetId];
+            this.recordHistory('Swap Colors');
             
             // Swap ID values
             const tempCol = srcCh.colorId;
@@ -590,27 +1930,37 @@ class UIController {
 
             const change = () => {
                 if(!window.drumSynth) return;
-                
-                if(target === 'master') {
-                    const next = Math.max(0, Math.min(100, window.drumSynth.masterVolume + dir));
-                    window.drumSynth.setMasterVolume(next);
-                    const input = document.getElementById('drum-master-vol');
-                    if(input) input.value = next;
-                } else {
-                    const id = parseInt(target);
-                    const ch = window.drumSynth.channels[id];
-                    if(ch) {
-                        const next = Math.max(0, Math.min(100, ch.volume + dir));
-                        window.drumSynth.setChannelVolume(id, next);
-                        const input = document.getElementById(`drum-vol-${id}`);
-                        if(input) input.value = next;
-                    }
-                }
+                const ch = target === 'master' ? null : window.drumSynth.channels[parseInt(target)];
+                if(target !== 'master' && !ch) return;
+                // While recording, steps continue from the last captured value
+                const key = `drums:${target}`;
+                const touched = this.isAutomationRecording() ? this.autoTouch[key] : undefined;
+                const base = touched !== undefined ? touched : (ch ? ch.volume : window.drumSynth.masterVolume);
+                this.setDrumVolume(target, base + dir);
             };
             this.bindRepeater(btn, change);
         });
     }
 
+    // target: 'master' or channel ID. Repeaters and MIDI CC bindings land here
+    setDrumVolume(target, value) {
+        if(!window.drumSynth) return;
+        const next = Math.max(0, Math.min(100, value));
+        const input = document.getElementById(target === 'master' ? 'drum-master-vol' : `drum-vol-${target}`);
+
+        // Automation recording: capture the move instead of changing the stored volume
+        if(this.isAutomationRecording()) {
+            this.recordAutomation(`drums:${target}`, next);
+            if(input) input.value = next;
+            return;
+        }
+
+        this.recordHistory('Drum Vol', `drumvol:${target}`);
+        if(target === 'master') window.drumSynth.setMasterVolume(next);
+        else window.drumSynth.setChannelVolume(parseInt(target), next);
+        if(input) input.value = next;
+    }
+
     setupDigitalRepeaters() {
         // Handles Bass Synth Digital Controls
         document.querySelectorAll('.dfx-btn').forEach(btn => {
@@ -619,7 +1969,8 @@ class UIController {
                 if(!s) return;
                 const p = btn.dataset.target, d = parseInt(btn.dataset.dir);
                 let cur = 0;
-                if(p==='volume') cur=s.params.volume; else if(p==='cutoff') cur=s.params.cutoff; else if(p==='resonance') cur=s.params.resonance*5; else cur=s.params[p];
+                const sp = this.getEditParams(s);
+                if(p==='volume') cur=sp.volume; else if(p==='cutoff') cur=sp.cutoff; else if(p==='resonance') cur=sp.resonance*5; else cur=sp[p];
                 let next = Math.max(0, Math.min(100, cur + d));
                 if(p==='resonance') this.handleParamChange(p, next/5); else if(p==='cutoff') this.handleParamChange(p, ((next/100)*4900)+100); else this.handleParamChange(p, next);
             };
@@ -641,8 +1992,8 @@ class UIController {
     }
 
     // Helpers
-    goToBlock(i) { window.AppState.editingBlock = i; this.updateEditors(); this.renderTrackBar(); }
-    fullRefresh() { window.AppState.editingBlock = 0; this.updateEditors(); this.renderTrackBar(); this.renderInstrumentTabs(); this.renderSynthMenu(); }
+    goToBlock(i) { window.AppState.editingBlock = i; this.savePrefs(); this.updateEditors(); this.renderTrackBar(); }
+    fullRefresh() { window.AppState.editingBlock = 0; this.updateEditors(); this.renderTrackBar(); this.renderInstrumentTabs(); this.renderSynthMenu(); this.syncGrooveControls(); this.syncSendFxControls(); this.renderMasterControls(); this.syncLoopControls(); this.renderMixer(); }
     togglePanelState() {
         window.AppState.panelCollapsed = !window.AppState.panelCollapsed;
         const p = document.getElementById('editor-panel');
@@ -653,6 +2004,7 @@ class UIController {
     toggleSubPanel(p) {
         if(p==='keys') window.AppState.viewKeys = !window.AppState.viewKeys;
         if(p==='fx') window.AppState.viewFx = !window.AppState.viewFx;
+        this.savePrefs();
         this.renderSubPanelStates();
     }
     renderSubPanelStates() {
@@ -661,17 +2013,24 @@ class UIController {
         if(window.AppState.viewKeys) { pK.classList.remove('hidden'); bK.classList.add('active'); } else { pK.classList.add('hidden'); bK.classList.remove('active'); }
         if(window.AppState.viewFx) { pF.classList.remove('hidden'); bF.classList.add('active'); } else { pF.classList.add('hidden'); bF.classList.remove('active'); }
     }
-    toggleVisualizerMode() { window.AppState.followPlayback = !window.AppState.followPlayback; document.getElementById('btn-toggle-visualizer').innerText = window.AppState.followPlayback ? "VISUALIZER: ON" : "VISUALIZER: OFF"; }
+    toggleVisualizerMode() { window.AppState.followPlayback = !window.AppState.followPlayback; this.savePrefs(); document.getElementById('btn-toggle-visualizer').innerText = window.AppState.followPlayback ? "VISUALIZER: ON" : "VISUALIZER: OFF"; }
     toggleUIMode() { 
         window.AppState.uiMode = window.AppState.uiMode === 'analog' ? 'digital' : 'analog';
+        this.savePrefs();
         document.getElementById('btn-toggle-ui-mode').innerText = `UI MODE: ${window.AppState.uiMode.toUpperCase()}`;
         document.getElementById('fx-controls-analog').classList.toggle('hidden');
         document.getElementById('fx-controls-digital').classList.toggle('hidden');
         this.syncControls(window.AppState.activeView);
     }
-    initPlayClock() { /* SVG Clock Init */ const s=document.getElementById('play-clock-svg'); if(!s)return; s.innerHTML=''; const t=16, r=45, c=50, ci=2*Math.PI*r, g=2, d=(ci/t)-g; for(let i=0;i<t;i++){const e=document.createElementNS("http://www.w3.org/2000/svg","circle");e.setAttribute("r",r);e.setAttribute("cx",c);e.setAttribute("cy",c);e.setAttribute("fill","transparent");e.setAttribute("stroke-width","4");e.setAttribute("stroke-dasharray",`${d} ${ci-d}`);e.setAttribute("transform",`rotate(${(360/t)*i},${c},${c})`);e.setAttribute("id",`clock-seg-${i}`);e.setAttribute("stroke","#333");s.appendChild(e);} }
-    updatePlayClock(step) { for(let i=0;i<16;i++){ const s=document.getElementById(`clock-seg-${i}`); if(s){ if(i===step){s.setAttribute("stroke","#00ff41");s.setAttribute("opacity","1");} else if(i<step){s.setAttribute("stroke","#004411");s.setAttribute("opacity","0.5");} else {s.setAttribute("stroke","#222");s.setAttribute("opacity","0.3");} } } }
+    initPlayClock(steps = 16) { /* SVG Clock Init */ const s=document.getElementById('play-clock-svg'); if(!s)return; s.innerHTML=''; this.clockSteps=steps; const t=steps, r=45, c=50, ci=2*Math.PI*r, g=2, d=(ci/t)-g; for(let i=0;i<t;i++){const e=document.createElementNS("http://www.w3.org/2000/svg","circle");e.setAttribute("r",r);e.setAttribute("cx",c);e.setAttribute("cy",c);e.setAttribute("fill","transparent");e.setAttribute("stroke-width","4");e.setAttribute("stroke-dasharray",`${d} ${ci-d}`);e.setAttribute("transform",`rotate(${(360/t)*i},${c},${c})`);e.setAttribute("id",`clock-seg-${i}`);e.setAttribute("stroke","#333");s.appendChild(e);} }
+    updatePlayClock(step) { for(let i=0;i<this.clockSteps;i++){ const s=document.getElementById(`clock-seg-${i}`); if(s){ if(i===step){s.setAttribute("stroke","#00ff41");s.setAttribute("opacity","1");} else if(i<step){s.setAttribute("stroke","#004411");s.setAttribute("opacity","0.5");} else {s.setAttribute("stroke","#222");s.setAttribute("opacity","0.3");} } } }
     blinkLed() { const l=document.getElementById('activity-led'); if(l){ l.style.backgroundColor='#fff'; l.style.boxShadow='0 0 8px #fff'; setTimeout(()=>{l.style.backgroundColor='';l.style.boxShadow='';},50); } }
     safeClick(id, fn) { const el = document.getElementById(id); if(el) el.onclick = fn; }
 }
+// FX rack control prefix ('<prefix>-slider' / '<prefix>-digital') -> synth parameter
+UIController.FX_PARAMS = {
+    vol: 'volume', dist: 'distortion', cutoff: 'cutoff', res: 'resonance', env: 'envMod', dec: 'decay',
+    acc: 'accentInt', tone: 'distTone', dgain: 'distGain', dly: 'sendDelay', rev: 'sendReverb'
+};
+
 window.UIController = UIController;
\ No newline at end of file
@@ -0,0 +1,92 @@
+/*
+ * ZIP WRITER MODULE (Multi-file Downloads)
+ * Minimal PKZIP archive builder for the stem export, no external libraries.
+ * Entries are STORED (no compression: PCM audio barely deflates) with CRC-32,
+ * one local header per file and a central directory at the end.
+ * Limits: no ZIP64, so every entry and the whole archive must stay under 4 GB.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.parts = []; // Headers + file data, in archive order
+        this.central = []; // Central directory records
+        this.offset = 0; // Bytes written so far (local header offsets)
+        this.count = 0;
+        this.stamp = ZipWriter.dosTime(new Date());
+    }
+
+    // name: path inside the archive (ASCII). data: ArrayBuffer or Uint8Array
+    add(name, data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const nameBytes = new Uint8Array(Array.from(name, c => c.charCodeAt(0) & 0x7F));
+        const crc = ZipWriter.crc32(bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        this.writeEntryFields(local, 4, crc, bytes.length, nameBytes.length);
+        this.parts.push(local.buffer, nameBytes, bytes);
+
+        const dir = new DataView(new ArrayBuffer(46));
+        dir.setUint32(0, 0x02014B50, true); // Central directory signature
+        dir.setUint16(4, 20, true); // Version made by (2.0)
+        this.writeEntryFields(dir, 6, crc, bytes.length, nameBytes.length);
+        // 32-45: comment length, disk, attributes = 0
+        dir.setUint32(42, this.offset, true); // Local header offset
+        this.central.push(dir.buffer, nameBytes);
+
+        this.offset += 30 + nameBytes.length + bytes.length;
+        this.count++;
+    }
+
+    // Fields shared by local and central headers, from 'version needed' to 'extra length'
+    writeEntryFields(view, pos, crc, size, nameLength) {
+        view.setUint16(pos, 20, true); // Version needed (2.0)
+        view.setUint16(pos + 2, 0, true); // Flags
+        view.setUint16(pos + 4, 0, true); // Method: stored
+        view.setUint16(pos + 6, this.stamp.time, true);
+        view.setUint16(pos + 8, this.stamp.date, true);
+        view.setUint32(pos + 10, crc, true);
+        view.setUint32(pos + 14, size, true); // Compressed size
+        view.setUint32(pos + 18, size, true); // Uncompressed size
+        view.setUint16(pos + 22, nameLength, true);
+        view.setUint16(pos + 24, 0, true); // Extra field length
+    }
+
+    toBlob() {
+        const dirSize = this.central.reduce((n, p) => n + p.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.count, true); // Entries on this disk
+        end.setUint16(10, this.count, true); // Entries total
+        end.setUint32(12, dirSize, true);
+        end.setUint32(16, this.offset, true); // Central directory offset
+        return new Blob([...this.parts, ...this.central, end.buffer], { type: 'application/zip' });
+    }
+
+    // --- HELPERS ---
+    static crc32(bytes) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date/time (2 second resolution, years from 1980)
+    static dosTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+            date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}
+
+ZipWriter.CRC_TABLE = null; // Built on first use
+
+window.ZipWriter = ZipWriter;
@@ -11,12 +11,30 @@ window.AppState = {
     bpm: 174,
     currentPlayStep: 0,
     currentPlayBlock: 0,
+    currentSongEntry: 0,
+    
+    // Loop Mode: 'song' (whole song) | 'block' (editing block) | 'range' (loopStart..loopEnd blocks)
+    loopMode: 'song',
+    loopStart: 0,
+    loopEnd: 0,
+    
+    // Groove (0-100). Per-track values override global; null = follow global
+    swing: 0,
+    swingBass: null,
+    swingDrums: null,
+    
+    // Trig Conditions: FILL state and the seed used by offline renders
+    fillActive: false,
+    renderSeed: 23,
     
     // Editor State
     editingBlock: 0,
+    selectedSongEntry: 0,
     selectedStep: 0,
     activeView: 'bass-1',
     currentOctave: 3,
+    lockEdit: false, // P-LOCK: synth controls edit the selected step's locks
+    autoRecord: false, // Automation armed: control moves during playback are recorded
     
     // UI/Visual State
     uiMode: 'analog',
@@ -26,7 +44,16 @@ window.AppState = {
     followPlayback: false,
     
     // Export Settings
-    exportReps: 1
+    exportReps: 1,
+    exportScope: 'all', // 'all' = whole song, 'loop' = transport loop only
+    exportStems: false, // Render one WAV per track (ZIP) instead of the stereo mix
+    stemDrums: 'split', // 'split' = one stem per drum channel, 'group' = one drum stem
+    stemChain: 'post', // 'post' = through the master chain, 'pre' = master chain bypassed
+    exportBits: 16, // 16 / 24 = integer PCM, 32 = float
+    exportRate: 44100,
+    exportNormalize: null, // Peak target in dBFS, null = off
+    exportDither: true, // TPDF dither on integer formats
+    exportTail: 2 // Seconds after the last step, or 'auto' (trailing silence trimmed)
 };
 
 // --- 2. SHARED QUEUES ---
@@ -51,6 +78,7 @@ window.toggleExportModal = function() {
 window.removeBassSynth = function(id) {
     // Removing a synth involves both Audio (stop sound/delete) and UI (update tabs)
     if(window.audioEngine && window.uiController) {
+        if(window.audioEngine.getSynth(id)) window.uiController.recordHistory('Remove Synth');
         const success = window.audioEngine.removeSynth(id);
         if(success) {
             window.uiController.renderSynthMenu();
@@ -94,6 +122,31 @@ document.addEventListener('DOMContentLoaded', () => {
 
         window.logToScreen("System Ready [OK]");
 
+        // F. Project Library: restore the autosaved session (crash / reload recovery), then keep saving
+        const store = window.projectStore;
+        store.open()
+            .then(() => store.recover())
+            .then(session => {
+                if(!session) return;
+                window.historyManager.clear();
+                window.uiController.refreshAfterLoad();
+                const name = store.current ? store.current.name : 'UNTITLED';
+                window.logToScreen(`Session Recovered: ${name} (${new Date(session.updated).toLocaleString()})`);
+            })
+            .then(() => true, e => {
+                window.logToScreen(`LIBRARY: ${e}`, 'warn');
+                // Autosaving the blank session would overwrite the stored one: leave it for a fixed build to read
+                if(store.isReady()) window.logToScreen("AUTOSAVE OFF: stored session kept untouched until SAVE AS or OPEN", 'warn');
+                return false;
+            })
+            .then(recovered => {
+                if(recovered && store.isReady()) store.startAutosave();
+                window.uiController.renderProjectLibrary();
+            });
+
+        // G. MIDI Input (optional: the editor works the same without Web MIDI)
+        if(window.midiInput) window.midiInput.init();
+
     } catch(e) {
         window.logToScreen("BOOT ERR: " + e, 'error');
         console.error("Bootstrap Error:", e);